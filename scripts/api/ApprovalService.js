@@ -0,0 +1,232 @@
+/**
+ * ApprovalService - Trades held for the GM to approve, reject or change
+ * The queue is a hidden world setting; the requesting player is told the outcome over the socket
+ */
+
+import { MODULE_ID, SOCKET_ACTIONS, TRADE_REVIEW_HOOK } from '../constants.js';
+import { BuybackService } from './BuybackService.js';
+import { CurrencyRegistry } from './CurrencyRegistry.js';
+import { ShopData } from './ShopData.js';
+import { ShopSocket } from './ShopSocket.js';
+import { TradeService } from './TradeService.js';
+
+export class ApprovalService {
+
+    /** Per-merchant choices, over the world setting */
+    static MODES = {
+        always: 'Always',
+        never: 'Never'
+    };
+
+    /**
+     * Register socket handlers
+     */
+    static initialize() {
+        ShopSocket.register(SOCKET_ACTIONS.TRADE_REVIEWED, (review, { senderId }) => {
+            if (game.users.get(senderId)?.isGM) this.#notify(review);
+        });
+    }
+
+    /**
+     * Whether a user's trades with a merchant wait for the GM
+     * The merchant's own choice wins over the world setting; GMs never wait on themselves
+     * @param {Actor} shopActor
+     * @param {User} user
+     */
+    static isRequired(shopActor, user) {
+        if (user?.isGM) return false;
+
+        const mode = ShopData.getSettings(shopActor).approval;
+        if (mode in this.MODES) return mode === 'always';
+        return game.settings.get(MODULE_ID, 'requireApproval');
+    }
+
+    /**
+     * Trades waiting for the GM, oldest first
+     * @returns {Object[]}
+     */
+    static getQueue() {
+        return Object.values(game.settings.get(MODULE_ID, 'approvalQueue') ?? {})
+            .filter(entry => entry?.id)
+            .sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * A trade waiting for the GM
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    static get(id) {
+        return this.getQueue().find(entry => entry.id === id) ?? null;
+    }
+
+    /**
+     * Hold a trade for the GM (GM only)
+     * @param {Object} data - Output of TradeService.serializeTrade
+     * @param {Object} trade - The same trade, resolved
+     * @param {User} user - The requesting user
+     * @returns {Promise<string>} The queue entry's id
+     */
+    static async enqueue(data, trade, user) {
+        return this.#add(trade, user, { trade: foundry.utils.deepClone(data) });
+    }
+
+    /**
+     * Hold a buyback for the GM (GM only)
+     * Buybacks are approved or rejected as they are; the GM cannot change them
+     * @param {Object} data - { shopActorUuid, playerActorUuid, entryId }
+     * @param {Object} buyback - The same buyback, resolved (see BuybackService.resolveBuyback)
+     * @param {User} user - The requesting user
+     * @returns {Promise<string>} The queue entry's id
+     */
+    static async enqueueBuyback(data, buyback, user) {
+        return this.#add(buyback, user, { buyback: foundry.utils.deepClone(data) });
+    }
+
+    /**
+     * Change a waiting trade before approving it (GM only)
+     * Items with a quantity of 0 are taken out of the trade
+     * @param {string} id
+     * @param {Object} changes
+     * @param {{itemId: string, quantity: number}[]} [changes.playerItems]
+     * @param {{itemId: string, quantity: number}[]} [changes.shopItems]
+     * @param {Object} [changes.playerCurrency]
+     * @param {Object} [changes.shopCurrency]
+     * @param {boolean} [changes.settle]
+     */
+    static async modify(id, { playerItems, shopItems, playerCurrency, shopCurrency, settle } = {}) {
+        const entry = this.get(id);
+        if (!entry) throw new Error('That trade is no longer waiting for approval.');
+        if (entry.buyback) throw new Error('A buyback can only be approved or rejected.');
+
+        const keep = refs => refs.map(({ itemId, quantity }) => ({ itemId, quantity: Math.max(0, Math.floor(Number(quantity) || 0)) }))
+            .filter(({ quantity }) => quantity > 0);
+        const trade = entry.trade;
+        if (playerItems) trade.playerItems = keep(playerItems);
+        if (shopItems) trade.shopItems = keep(shopItems);
+        if (playerCurrency) trade.playerCurrency = CurrencyRegistry.normalizePurse(playerCurrency);
+        if (shopCurrency) trade.shopCurrency = CurrencyRegistry.normalizePurse(shopCurrency);
+        if (settle !== undefined) trade.settle = !!settle;
+
+        await this.#save({ ...this.#getStored(), [id]: { ...entry, trade, modified: true } });
+    }
+
+    /**
+     * Why a waiting trade cannot go through as it stands
+     * @param {Object} entry
+     * @returns {Promise<string|null>}
+     */
+    static async check(entry) {
+        try {
+            if (entry.buyback) {
+                const { shopActor, playerActor, entry: stored } = await BuybackService.resolveBuyback(entry.buyback);
+                return BuybackService.checkBuyback(shopActor, playerActor, stored, game.users.get(entry.userId));
+            }
+            const trade = await TradeService.resolveTrade(entry.trade);
+            return TradeService.checkTrade(trade, game.users.get(entry.userId));
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    /**
+     * Execute a waiting trade and tell the player (GM only)
+     * The trade stays in the queue if it can no longer go through
+     * @param {string} id
+     */
+    static async approve(id) {
+        const entry = this.get(id);
+        if (!entry) throw new Error('That trade is no longer waiting for approval.');
+
+        const user = game.users.get(entry.userId) ?? game.user;
+        if (entry.buyback) return this.#approveBuyback(entry, user);
+
+        const trade = await TradeService.resolveTrade(entry.trade);
+        const problem = TradeService.checkTrade(trade, user);
+        if (problem) throw new Error(problem);
+
+        await TradeService.completeTrade(trade, user);
+        await this.#remove(id);
+        this.#review(entry, 'approved', entry.modified
+            ? `The GM approved your trade with ${entry.shop.name}, with changes.`
+            : `The GM approved your trade with ${entry.shop.name}.`);
+    }
+
+    /**
+     * Drop a waiting trade and tell the player why (GM only)
+     * @param {string} id
+     * @param {string} [reason]
+     */
+    static async reject(id, reason = '') {
+        const entry = this.get(id);
+        if (!entry) throw new Error('That trade is no longer waiting for approval.');
+
+        await this.#remove(id);
+        const message = `The GM rejected your trade with ${entry.shop.name}.`;
+        this.#review(entry, 'rejected', reason ? `${message} ${reason}` : message);
+    }
+
+    /**
+     * Execute a waiting buyback and tell the player
+     */
+    static async #approveBuyback(entry, user) {
+        const buyback = await BuybackService.resolveBuyback(entry.buyback);
+        const problem = BuybackService.checkBuyback(buyback.shopActor, buyback.playerActor, buyback.entry, user);
+        if (problem) throw new Error(problem);
+
+        await BuybackService.completeBuyback(buyback, user);
+        await this.#remove(entry.id);
+        this.#review(entry, 'approved', `The GM approved buying back ${buyback.entry.name} from ${entry.shop.name}.`);
+    }
+
+    /**
+     * Add a trade or buyback to the queue
+     */
+    static async #add({ shopActor, playerActor }, user, request) {
+        const entry = {
+            id: foundry.utils.randomID(),
+            time: Date.now(),
+            userId: user.id,
+            userName: user.name,
+            shop: { uuid: shopActor.uuid, name: shopActor.name },
+            player: { uuid: playerActor.uuid, name: playerActor.name },
+            ...request,
+            modified: false
+        };
+
+        await this.#save({ ...this.#getStored(), [entry.id]: entry });
+        ui.notifications.info(`${user.name} wants to trade with ${shopActor.name}. The trade is waiting in the approval queue.`);
+        return entry.id;
+    }
+
+    static #getStored() {
+        return foundry.utils.deepClone(game.settings.get(MODULE_ID, 'approvalQueue') ?? {});
+    }
+
+    static async #save(queue) {
+        return game.settings.set(MODULE_ID, 'approvalQueue', queue);
+    }
+
+    static async #remove(id) {
+        const queue = this.#getStored();
+        delete queue[id];
+        return this.#save(queue);
+    }
+
+    /**
+     * Send the outcome of a review to the player who asked for the trade
+     */
+    static #review(entry, status, message) {
+        const review = { id: entry.id, userId: entry.userId, status, message };
+        ShopSocket.emit(SOCKET_ACTIONS.TRADE_REVIEWED, review);
+        this.#notify(review);
+    }
+
+    /**
+     * Tell this client about the review of one of its trades
+     */
+    static #notify(review) {
+        if (review?.userId !== game.user.id) return;
+        Hooks.callAll(TRADE_REVIEW_HOOK, review);
+    }
+}
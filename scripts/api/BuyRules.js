@@ -0,0 +1,106 @@
+/**
+ * BuyRules - What a merchant will buy from players
+ * Rules filter on item type, subtype, rarity, tags and list price; empty rules accept anything
+ */
+
+import { ContainerService } from './ContainerService.js';
+import { CurrencyRegistry } from './CurrencyRegistry.js';
+import { PricingService } from './PricingService.js';
+import { ShopData } from './ShopData.js';
+
+export class BuyRules {
+
+    /**
+     * A merchant's buy rules merged over the defaults
+     * @param {Actor} actor
+     * @returns {Object}
+     */
+    static getRules(actor) {
+        return ShopData.getSettings(actor).buyRules;
+    }
+
+    /**
+     * Why a merchant refuses to buy an item
+     * A container is sold with its contents, so the merchant must buy every item inside it too
+     * @param {Item} item - An item a player offers
+     * @param {Actor} shopActor
+     * @returns {string|null} A reason the item is refused, or null if the merchant buys it
+     */
+    static check(item, shopActor) {
+        const refused = this.#checkItem(item, shopActor);
+        if (refused) return refused;
+
+        for (const content of ContainerService.getContents(item)) {
+            const reason = this.#checkItem(content, shopActor);
+            if (reason) return `${item.name} holds ${content.name}. ${reason}`;
+        }
+        return null;
+    }
+
+    /**
+     * Why a merchant refuses to buy one item, leaving out its contents
+     */
+    static #checkItem(item, shopActor) {
+        const settings = ShopData.getSettings(shopActor);
+        if (!settings.buysItems) return `${shopActor.name} does not buy items.`;
+
+        const rules = settings.buyRules;
+        if (rules.types.length && !rules.types.includes(item.type)) {
+            return `${shopActor.name} does not buy ${item.type} items.`;
+        }
+
+        if (rules.subtypes.length && !rules.subtypes.includes(this.getSubtype(item))) {
+            return `${shopActor.name} does not buy this kind of ${item.type}.`;
+        }
+
+        if (rules.rarities.length) {
+            const rarity = this.getRarity(item);
+            if (!rules.rarities.includes(rarity)) return `${shopActor.name} does not buy ${rarity || 'common'} items.`;
+        }
+
+        if (rules.tags.length) {
+            const tags = this.getTags(item);
+            if (!rules.tags.some(tag => tags.includes(tag))) return `${shopActor.name} only buys items tagged ${rules.tags.join(', ')}.`;
+        }
+
+        if (rules.maxPrice !== null && PricingService.getBasePrice(item) > rules.maxPrice) {
+            return `${shopActor.name} does not buy items worth more than ${CurrencyRegistry.format(rules.maxPrice)}.`;
+        }
+
+        return null;
+    }
+
+    /**
+     * An item's subtype, such as a weapon's category or a consumable's kind
+     * Works with documents and compendium index entries alike
+     * @param {Item|Object} item
+     * @returns {string|null}
+     */
+    static getSubtype(item) {
+        return foundry.utils.getProperty(item, 'system.type.value')
+            ?? foundry.utils.getProperty(item, 'system.category')
+            ?? null;
+    }
+
+    /**
+     * An item's rarity, read from the dnd5e or pf2e location
+     * @param {Item|Object} item
+     * @returns {string|null}
+     */
+    static getRarity(item) {
+        return foundry.utils.getProperty(item, 'system.rarity')
+            ?? foundry.utils.getProperty(item, 'system.traits.rarity')
+            ?? null;
+    }
+
+    /**
+     * An item's tags: dnd5e properties and pf2e traits
+     * @param {Item|Object} item
+     * @returns {string[]}
+     */
+    static getTags(item) {
+        const properties = foundry.utils.getProperty(item, 'system.properties') ?? [];
+        const traits = foundry.utils.getProperty(item, 'system.traits.value') ?? [];
+        return [...Array.from(properties), ...Array.from(traits)];
+    }
+}
@@ -0,0 +1,260 @@
+/**
+ * BuybackService - Items a character sold to a merchant, offered back to them for a while
+ * Sold items still join the merchant's stock; the buyback entry keeps their exact data and the price paid
+ */
+
+import { MODULE_ID, SOCKET_ACTIONS } from '../constants.js';
+import { ApprovalService } from './ApprovalService.js';
+import { ContainerService } from './ContainerService.js';
+import { CurrencyRegistry } from './CurrencyRegistry.js';
+import { LedgerService } from './LedgerService.js';
+import { PricingService } from './PricingService.js';
+import { ReputationService } from './ReputationService.js';
+import { ReservationService } from './ReservationService.js';
+import { ShopData } from './ShopData.js';
+import { ShopSocket } from './ShopSocket.js';
+import { TradeService } from './TradeService.js';
+import { TradeTransaction } from './TradeTransaction.js';
+
+export class BuybackService {
+
+    /**
+     * Register socket handlers
+     */
+    static initialize() {
+        ShopSocket.registerRequest(SOCKET_ACTIONS.BUYBACK_REQUEST, (data, userId) => this.processBuyback(data, userId), {
+            replyAction: SOCKET_ACTIONS.BUYBACK_COMPLETE
+        });
+    }
+
+    /**
+     * Seconds of world time sold items stay on the buyback list
+     * @returns {number} 0 if buyback is disabled
+     */
+    static getWindow() {
+        return Math.max(0, Number(game.settings.get(MODULE_ID, 'buybackWindow')) || 0) * 3600;
+    }
+
+    /**
+     * Describe the items of a trade that the merchant buys
+     * Call this before the trade executes, while every item still exists
+     * @param {Object} trade - A resolved trade (see TradeService.resolveTrade)
+     * @returns {Object[]} Buyback entries
+     */
+    static createEntries(trade) {
+        if (!this.getWindow()) return [];
+
+        return trade.playerItems.map(({ item, quantity }) => {
+            const itemData = item.toObject();
+            delete itemData._id;
+            itemData.system.quantity = quantity;
+            delete itemData.flags?.[MODULE_ID]?.surplus;
+
+            return {
+                id: foundry.utils.randomID(),
+                actorUuid: trade.playerActor.uuid,
+                name: item.name,
+                img: item.img,
+                quantity,
+                price: PricingService.getSellPrice(item, trade.shopActor, trade.playerActor, quantity),
+                worldTime: game.time.worldTime,
+                itemData
+            };
+        });
+    }
+
+    /**
+     * Store entries on the merchant, dropping any that have expired
+     * Failures are logged rather than thrown: the trade has already happened
+     * @param {Actor} shopActor
+     * @param {Object[]} entries - See createEntries
+     */
+    static async record(shopActor, entries) {
+        if (!entries.length) return;
+
+        const update = {};
+        for (const entry of entries) {
+            update[`flags.${MODULE_ID}.buyback.${entry.id}`] = entry;
+        }
+        for (const stale of this.#getStored(shopActor).filter(entry => this.isExpired(entry))) {
+            update[`flags.${MODULE_ID}.buyback.-=${stale.id}`] = null;
+        }
+
+        try {
+            await shopActor.update(update);
+        } catch (error) {
+            console.error(`${MODULE_ID} | Failed to record buyback for ${shopActor.name}:`, error);
+        }
+    }
+
+    /**
+     * Items a character can still buy back from a merchant, newest first
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @returns {Object[]}
+     */
+    static getEntries(shopActor, playerActor) {
+        return this.#getStored(shopActor)
+            .filter(entry => entry.actorUuid === playerActor.uuid && !this.isExpired(entry))
+            .sort((a, b) => b.worldTime - a.worldTime);
+    }
+
+    /**
+     * Whether an entry has left the buyback window
+     * @param {Object} entry
+     */
+    static isExpired(entry) {
+        const window = this.getWindow();
+        return !window || game.time.worldTime - entry.worldTime > window;
+    }
+
+    /**
+     * What buying an entry back costs: the price paid plus the buyback fee
+     * @param {Object} entry
+     * @returns {number} Value in the standard denomination
+     */
+    static getPrice(entry) {
+        const fee = Math.max(0, Number(game.settings.get(MODULE_ID, 'buybackFee')) || 0);
+        return PricingService.round(entry.price * (1 + fee));
+    }
+
+    /**
+     * Why a character cannot buy an entry back
+     * The same rules as any purchase apply: stock held by other shoppers is not for sale, and the price must be payable
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @param {Object} entry
+     * @param {User} [user] - The user asking for the buyback
+     * @returns {string|null} null if the buyback is possible
+     */
+    static checkBuyback(shopActor, playerActor, entry, user = game.user) {
+        if (!entry || entry.actorUuid !== playerActor.uuid) return 'That item is not on your buyback list.';
+        if (this.isExpired(entry)) return `${shopActor.name} no longer holds ${entry.name} for you.`;
+
+        const stock = TradeService.findStack(shopActor, entry.itemData);
+        if (!stock || ShopData.getAvailable(stock) < entry.quantity) return `${shopActor.name} has already sold ${entry.name} on.`;
+
+        const holder = user ? ReservationService.holderKey(user.id, playerActor) : null;
+        if (ReservationService.getAvailable(stock, holder) < entry.quantity) return `Other shoppers hold some of the ${entry.name}.`;
+
+        const price = this.getPrice(entry);
+        if (!TradeService.planPayment(playerActor, shopActor, CurrencyRegistry.toBaseAmount(price))) {
+            return `Cannot pay ${CurrencyRegistry.format(price)}: not enough coins, or no exact change.`;
+        }
+        return null;
+    }
+
+    /**
+     * Have the GM sell an entry back to the character
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @param {string} entryId
+     * @returns {Promise<Object>} { name, quantity, price }, with pending set if the buyback waits for the GM's approval
+     */
+    static async buyBack(shopActor, playerActor, entryId) {
+        return ShopSocket.requestGM(SOCKET_ACTIONS.BUYBACK_REQUEST, {
+            shopActorUuid: shopActor.uuid,
+            playerActorUuid: playerActor.uuid,
+            entryId
+        });
+    }
+
+    /**
+     * Turn a buyback request back into actors and the stored entry
+     * @param {Object} data - { shopActorUuid, playerActorUuid, entryId }
+     * @returns {Promise<{shopActor: Actor, playerActor: Actor, entry: Object|null}>}
+     */
+    static async resolveBuyback(data) {
+        const shopActor = await fromUuid(data.shopActorUuid);
+        const playerActor = await fromUuid(data.playerActorUuid);
+        if (!(shopActor instanceof Actor) || !(playerActor instanceof Actor)) {
+            throw new Error('One of the trading actors no longer exists.');
+        }
+
+        const entry = this.#getStored(shopActor).find(stored => stored.id === data.entryId) ?? null;
+        return { shopActor, playerActor, entry };
+    }
+
+    /**
+     * Validate a buyback on behalf of a user, then execute it or hold it for the GM's approval (GM only)
+     * @param {Object} data - { shopActorUuid, playerActorUuid, entryId }
+     * @param {string} userId - The requesting user
+     * @returns {Promise<Object>} { name, quantity, price }, with pending set to the approval queue entry if it waits for the GM
+     */
+    static async processBuyback(data, userId) {
+        const buyback = await this.resolveBuyback(data);
+        const { shopActor, playerActor, entry } = buyback;
+
+        const user = game.users.get(userId);
+        if (!user || (!user.isGM && !playerActor.testUserPermission(user, 'OWNER'))) {
+            throw new Error(`${user?.name ?? 'That user'} does not own ${playerActor.name}.`);
+        }
+        if (!ShopData.isShop(shopActor)) throw new Error(`${shopActor.name} is not a merchant.`);
+
+        const problem = this.checkBuyback(shopActor, playerActor, entry, user);
+        if (problem) throw new Error(problem);
+
+        const result = { name: entry.name, quantity: entry.quantity, price: this.getPrice(entry) };
+        if (ApprovalService.isRequired(shopActor, user)) {
+            return { ...result, pending: await ApprovalService.enqueueBuyback(data, buyback, user) };
+        }
+
+        await this.completeBuyback(buyback, user);
+        return result;
+    }
+
+    /**
+     * Execute a checked buyback and record it in the ledger and reputation (GM only)
+     * The character pays with whatever coins they have, with change from the merchant
+     * @param {{shopActor: Actor, playerActor: Actor, entry: Object}} buyback - See resolveBuyback
+     * @param {User} user - The user who asked for the buyback
+     */
+    static async completeBuyback({ shopActor, playerActor, entry }, user) {
+        const price = this.getPrice(entry);
+        const payment = TradeService.planPayment(playerActor, shopActor, CurrencyRegistry.toBaseAmount(price));
+        if (!payment) throw new Error(`Cannot pay ${CurrencyRegistry.format(price)}: not enough coins, or no exact change.`);
+
+        const ledgerEntry = LedgerService.createEntry({
+            shopActor,
+            playerActor,
+            playerItems: [],
+            shopItems: [{ item: entry.itemData, quantity: entry.quantity, value: price }],
+            playerCurrency: payment.paid,
+            shopCurrency: payment.change
+        }, user);
+
+        try {
+            const playerPurse = CurrencyRegistry.getPurse(playerActor);
+            const shopPurse = CurrencyRegistry.getPurse(shopActor);
+            const transaction = new TradeTransaction();
+            CurrencyRegistry.stagePurse(transaction, playerActor, CurrencyRegistry.combinePurses(playerPurse, payment.change, payment.paid));
+            CurrencyRegistry.stagePurse(transaction, shopActor, CurrencyRegistry.combinePurses(shopPurse, payment.paid, payment.change));
+
+            // The character gets the exact item back, and the merchant's stock shrinks to match;
+            // a container comes back with the contents its price included
+            const stock = TradeService.findStack(shopActor, entry.itemData);
+            if (ContainerService.getContents(stock).length) {
+                TradeService.stageTransfer(transaction, stock, playerActor, entry.quantity);
+            } else {
+                transaction.createItems(playerActor, [foundry.utils.deepClone(entry.itemData)]);
+                TradeService.stageRemoval(transaction, stock, entry.quantity);
+            }
+            transaction.updateActor(shopActor, { [`flags.${MODULE_ID}.buyback.-=${entry.id}`]: null });
+
+            await transaction.commit();
+        } catch (error) {
+            console.error('Buyback error:', error);
+            throw new Error('Failed to complete the buyback. See the GM\'s console for details.');
+        }
+
+        await LedgerService.record(ledgerEntry, shopActor, playerActor);
+        await ReputationService.recordTrade(shopActor, playerActor, ledgerEntry);
+    }
+
+    /**
+     * Every entry stored on a merchant
+     */
+    static #getStored(shopActor) {
+        return Object.values(shopActor.getFlag(MODULE_ID, 'buyback') ?? {}).filter(entry => entry?.id);
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * ContainerService - Items held inside other items
+ * dnd5e links contents to their container through system.container, the container's id on the same actor
+ */
+
+export class ContainerService {
+
+    /**
+     * The container an item sits in
+     * @param {Item} item
+     * @returns {Item|null}
+     */
+    static getContainer(item) {
+        const id = item.system?.container;
+        return id ? item.parent?.items.get(id) ?? null : null;
+    }
+
+    /**
+     * Everything inside a container, including the contents of nested containers
+     * @param {Item} item
+     * @returns {Item[]} Contents before the items they hold
+     */
+    static getContents(item) {
+        const actor = item.parent;
+        if (!actor) return [];
+
+        const contents = [];
+        const visit = (container, seen) => {
+            for (const child of actor.items) {
+                if (child.system?.container !== container.id || seen.has(child.id)) continue;
+                seen.add(child.id);
+                contents.push(child);
+                visit(child, seen);
+            }
+        };
+        visit(item, new Set([item.id]));
+        return contents;
+    }
+
+    /**
+     * Why items cannot be traded as offered: containers go whole, with their contents
+     * @param {Iterable<{item: Item, quantity: number}>} entries - One side's offered items
+     * @returns {string|null}
+     */
+    static check(entries) {
+        const offered = new Set(Array.from(entries, ({ item }) => item.id));
+        for (const { item, quantity } of entries) {
+            if (this.getContents(item).length && quantity < (item.system.quantity ?? 1)) {
+                return `${item.name} holds other items and can only be traded whole.`;
+            }
+
+            for (let container = this.getContainer(item); container; container = this.getContainer(container)) {
+                if (offered.has(container.id)) return `${item.name} is inside ${container.name}, which is already part of the trade.`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Copy a container and its contents for another actor, with the contents linked to the copy
+     * The copies get fresh ids so the links can be set before they are created
+     * @param {Item} item - The container
+     * @param {number} quantity - Quantity of the container copy
+     * @returns {Object[]} Item data, container first
+     */
+    static copyWithContents(item, quantity) {
+        const contents = this.getContents(item);
+        const ids = new Map([item, ...contents].map(source => [source.id, foundry.utils.randomID()]));
+
+        return [item, ...contents].map(source => {
+            const data = source.toObject();
+            data._id = ids.get(source.id);
+            // The outer container leaves whatever it sat in
+            data.system.container = ids.get(source.system.container) ?? null;
+            if (source === item && 'quantity' in data.system) data.system.quantity = quantity;
+            return data;
+        });
+    }
+}
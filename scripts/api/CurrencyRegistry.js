@@ -0,0 +1,506 @@
+/**
+ * CurrencyRegistry - Currency systems the shop can trade in
+ * Each system lists its denominations, what they are worth and where actors keep them
+ */
+
+import { MODULE_ID } from '../constants.js';
+
+/**
+ * @typedef {Object} Denomination
+ * @property {string} key - Short key, e.g. gp
+ * @property {string} label - Display name, e.g. Gold
+ * @property {string} abbr - Shown next to amounts, e.g. GP
+ * @property {number} value - Worth in the system's smallest unit
+ * @property {string} [path] - Actor data path holding the amount
+ * @property {string} [itemSlug] - system.slug of the coin items holding the amount, for systems that store coins as items
+ * @property {string} [color] - CSS colour used to display the coin
+ */
+
+/**
+ * @typedef {Object} CurrencySystem
+ * @property {string} id
+ * @property {string} label
+ * @property {string} standard - Key of the denomination prices are quoted in
+ * @property {string} [priceDenominationPath] - Item data path naming the denomination of its price
+ * @property {Denomination[]} denominations
+ */
+
+export class CurrencyRegistry {
+
+    /** @type {Map<string, CurrencySystem>} */
+    static #systems = new Map();
+
+    /** @type {CurrencySystem|null} Cached active system */
+    static #active = null;
+
+    /** @type {Map<string, Object|null>} Recent payment plans; windows plan the same trade several times per render */
+    static #plans = new Map();
+
+    /** Payment plans kept */
+    static PLAN_CACHE_SIZE = 50;
+
+    /** Built-in currency systems */
+    static PRESETS = {
+        dnd5e: {
+            id: 'dnd5e',
+            label: 'D&D 5e',
+            standard: 'gp',
+            priceDenominationPath: 'system.price.denomination',
+            denominations: [
+                { key: 'pp', label: 'Platinum', abbr: 'PP', value: 1000, path: 'system.currency.pp', color: '#e5e4e2' },
+                { key: 'gp', label: 'Gold', abbr: 'GP', value: 100, path: 'system.currency.gp', color: '#ffd700' },
+                { key: 'ep', label: 'Electrum', abbr: 'EP', value: 50, path: 'system.currency.ep', color: '#90D5FF' },
+                { key: 'sp', label: 'Silver', abbr: 'SP', value: 10, path: 'system.currency.sp', color: '#a8a8a8' },
+                { key: 'cp', label: 'Copper', abbr: 'CP', value: 1, path: 'system.currency.cp', color: '#b87333' }
+            ]
+        },
+        pf2e: {
+            id: 'pf2e',
+            label: 'Pathfinder 2e',
+            standard: 'gp',
+            denominations: [
+                { key: 'pp', label: 'Platinum', abbr: 'PP', value: 1000, itemSlug: 'platinum-pieces', color: '#e5e4e2' },
+                { key: 'gp', label: 'Gold', abbr: 'GP', value: 100, itemSlug: 'gold-pieces', color: '#ffd700' },
+                { key: 'sp', label: 'Silver', abbr: 'SP', value: 10, itemSlug: 'silver-pieces', color: '#a8a8a8' },
+                { key: 'cp', label: 'Copper', abbr: 'CP', value: 1, itemSlug: 'copper-pieces', color: '#b87333' }
+            ]
+        }
+    };
+
+    /** Starting point for the user-defined system */
+    static CUSTOM_TEMPLATE = {
+        standard: 'gp',
+        denominations: [
+            { key: 'gp', label: 'Gold', abbr: 'GP', value: 1, path: 'system.currency.gp', color: '#ffd700' }
+        ]
+    };
+
+    static {
+        for (const preset of Object.values(this.PRESETS)) {
+            this.register(preset);
+        }
+    }
+
+    /**
+     * Add a currency system, replacing any with the same id
+     * @param {CurrencySystem} system
+     */
+    static register(system) {
+        this.#systems.set(system.id, this.#validate(system));
+        this.reset();
+    }
+
+    /**
+     * All registered systems
+     * @returns {CurrencySystem[]}
+     */
+    static getSystems() {
+        return Array.from(this.#systems.values());
+    }
+
+    /**
+     * Forget the cached active system, e.g. after its settings change
+     */
+    static reset() {
+        this.#active = null;
+        this.#plans.clear();
+    }
+
+    /**
+     * The currency system selected in the world settings
+     * @returns {CurrencySystem}
+     */
+    static get active() {
+        if (this.#active) return this.#active;
+
+        let id = game.settings.get(MODULE_ID, 'currencySystem');
+        if (id === 'auto') id = this.#systems.has(game.system.id) ? game.system.id : 'dnd5e';
+
+        if (id === 'custom') {
+            try {
+                const custom = JSON.parse(game.settings.get(MODULE_ID, 'customCurrency'));
+                this.#active = this.#validate({ id: 'custom', label: 'Custom', ...custom });
+            } catch (error) {
+                console.error(`${MODULE_ID} | Invalid custom currency, falling back to D&D 5e:`, error);
+                ui.notifications?.error('The custom currency definition is invalid. See console for details.');
+                this.#active = this.#systems.get('dnd5e');
+            }
+        } else {
+            this.#active = this.#systems.get(id) ?? this.#systems.get('dnd5e');
+        }
+
+        return this.#active;
+    }
+
+    // =====================
+    // Denominations
+    // =====================
+
+    /**
+     * Denominations of the active system, most valuable first
+     * @returns {Denomination[]}
+     */
+    static getDenominations() {
+        return this.active.denominations;
+    }
+
+    /**
+     * A denomination of the active system by key
+     * @param {string} key
+     * @returns {Denomination|undefined}
+     */
+    static getDenomination(key) {
+        return this.active.denominations.find(d => d.key === String(key ?? '').toLowerCase());
+    }
+
+    /**
+     * The denomination prices are quoted in
+     * @returns {Denomination}
+     */
+    static getStandard() {
+        return this.getDenomination(this.active.standard);
+    }
+
+    /**
+     * Convert an amount of a denomination to the standard denomination
+     * Unknown denominations are treated as standard
+     * @param {number} amount
+     * @param {string} [key]
+     * @returns {number}
+     */
+    static convert(amount, key) {
+        const denomination = this.getDenomination(key) ?? this.getStandard();
+        return Number(amount) * denomination.value / this.getStandard().value;
+    }
+
+    /**
+     * Express a value in the standard denomination as a whole number of one coin where possible
+     * Uses the standard coin, or the largest smaller coin that divides the value exactly, so 0.5 gp reads as 5 sp
+     * @param {number} value
+     * @returns {{amount: number, denomination: Denomination}}
+     */
+    static describe(value) {
+        const standard = this.getStandard();
+        const exact = Number(value) * standard.value;
+        const base = Math.round(exact);
+
+        const coin = Math.abs(exact - base) < 1e-6
+            ? this.getDenominations().find(d => d.value <= standard.value && base % d.value === 0)
+            : null;
+        if (!coin) return { amount: Math.round(value * 100) / 100, denomination: standard };
+        return { amount: base / coin.value, denomination: coin };
+    }
+
+    /**
+     * Format a value in the standard denomination, see describe
+     * @param {number} value
+     * @returns {string}
+     */
+    static format(value) {
+        const { amount, denomination } = this.describe(value);
+        return `${amount} ${denomination.abbr}`;
+    }
+
+    // =====================
+    // Purses
+    // =====================
+
+    /**
+     * A purse with nothing in it
+     * @returns {Object<string, number>}
+     */
+    static emptyPurse() {
+        return Object.fromEntries(this.getDenominations().map(d => [d.key, 0]));
+    }
+
+    /**
+     * Clean an untrusted purse: every denomination present, non-negative whole numbers
+     * @param {Object} purse
+     * @returns {Object<string, number>}
+     */
+    static normalizePurse(purse = {}) {
+        return Object.fromEntries(this.getDenominations().map(d => {
+            const amount = Math.floor(Number(purse?.[d.key]) || 0);
+            return [d.key, Math.max(0, amount)];
+        }));
+    }
+
+    /**
+     * Read the coins an actor holds
+     * @param {Actor} actor
+     * @returns {Object<string, number>}
+     */
+    static getPurse(actor) {
+        return Object.fromEntries(this.getDenominations().map(d => [d.key, this.#readAmount(actor, d)]));
+    }
+
+    /**
+     * Value of a purse in the system's smallest unit
+     * @param {Object} purse
+     * @returns {number}
+     */
+    static toBase(purse) {
+        return this.getDenominations().reduce((total, d) => total + (Number(purse?.[d.key]) || 0) * d.value, 0);
+    }
+
+    /**
+     * Value of a purse in the standard denomination
+     * @param {Object} purse
+     * @returns {number}
+     */
+    static purseValue(purse) {
+        return this.toBase(purse) / this.getStandard().value;
+    }
+
+    /**
+     * Whole units of the smallest coin needed for a value in the standard denomination
+     * @param {number} value
+     * @param {boolean} [roundUp=true] - Round up (when the payer must cover the value) or down
+     * @returns {number}
+     */
+    static toBaseAmount(value, roundUp = true) {
+        // Prices are rounded to hundredths, so allow for floating point noise
+        const base = Number(value) * this.getStandard().value;
+        return roundUp ? Math.ceil(base - 1e-6) : Math.floor(base + 1e-6);
+    }
+
+    /**
+     * Value of an item price in the standard denomination
+     * Handles plain numbers in a named denomination and coin objects like { gp: 1, sp: 5 }
+     * @param {number|Object} price
+     * @param {string} [denomination]
+     * @returns {number}
+     */
+    static priceValue(price, denomination) {
+        if (price && typeof price === 'object') return this.purseValue(price);
+        return this.convert(Number(price) || 0, denomination);
+    }
+
+    /**
+     * The denomination an item's price is given in
+     * @param {Item} item
+     * @returns {string}
+     */
+    static getPriceDenomination(item) {
+        const path = this.active.priceDenominationPath;
+        const key = path ? foundry.utils.getProperty(item, path) : null;
+        return this.getDenomination(key)?.key ?? this.active.standard;
+    }
+
+    /**
+     * Add and remove coins from a purse
+     * @param {Object} purse
+     * @param {Object} [add] - Coins gained
+     * @param {Object} [remove] - Coins handed over
+     * @returns {Object<string, number>} A new purse
+     */
+    static combinePurses(purse, add = {}, remove = {}) {
+        return Object.fromEntries(this.getDenominations().map(({ key }) => [
+            key,
+            (Number(purse?.[key]) || 0) + (Number(add?.[key]) || 0) - (Number(remove?.[key]) || 0)
+        ]));
+    }
+
+    /**
+     * Stage setting an actor's coins to a purse
+     * @param {TradeTransaction} transaction
+     * @param {Actor} actor
+     * @param {Object} purse - Amount of every denomination
+     */
+    static stagePurse(transaction, actor, purse) {
+        const update = {};
+        for (const d of this.getDenominations()) {
+            const amount = purse[d.key] ?? 0;
+            if (d.path) {
+                update[d.path] = amount;
+            } else if (d.itemSlug) {
+                this.#stageCoinItems(transaction, actor, d, amount);
+            }
+        }
+        if (Object.keys(update).length) transaction.updateActor(actor, update);
+    }
+
+    /**
+     * Coin items holding a denomination, for item-based systems
+     */
+    static #coinItems(actor, denomination) {
+        return actor.items.filter(i => i.system?.slug === denomination.itemSlug);
+    }
+
+    static #readAmount(actor, denomination) {
+        if (denomination.path) {
+            return Number(foundry.utils.getProperty(actor, denomination.path)) || 0;
+        }
+        return this.#coinItems(actor, denomination).reduce((total, i) => total + (i.system.quantity ?? 0), 0);
+    }
+
+    /**
+     * Put the whole amount on the first coin stack and remove the rest
+     */
+    static #stageCoinItems(transaction, actor, denomination, amount) {
+        const [first, ...others] = this.#coinItems(actor, denomination);
+        for (const other of others) transaction.deleteItem(other);
+
+        if (first) {
+            if (amount > 0) transaction.updateItem(first, { 'system.quantity': amount });
+            else transaction.deleteItem(first);
+        } else if (amount > 0) {
+            transaction.createItems(actor, [{
+                name: `${denomination.label} Pieces`,
+                type: 'treasure',
+                system: {
+                    slug: denomination.itemSlug,
+                    quantity: amount,
+                    stackGroup: 'coins',
+                    price: { value: { [denomination.key]: 1 } }
+                }
+            }]);
+        }
+    }
+
+    // =====================
+    // Payments
+    // =====================
+
+    /**
+     * Work out which coins settle a debt between two purses
+     * The payer hands over exact coins if it can, otherwise the smallest overpayment
+     * the receiver can give exact change for. Larger coins are used first, so payments
+     * and change use as few coins as possible.
+     * @param {Object} payerPurse
+     * @param {Object} receiverPurse
+     * @param {number} amount - Value owed in the system's smallest unit
+     * @returns {{paid: Object, change: Object}|null} null if the payer cannot afford it or no exact change exists
+     */
+    static planPayment(payerPurse, receiverPurse, amount) {
+        if (amount <= 0) return { paid: this.emptyPurse(), change: this.emptyPurse() };
+        if (this.toBase(payerPurse) < amount) return null;
+
+        const counts = purse => this.getDenominations().map(d => Math.max(0, Math.floor(Number(purse?.[d.key]) || 0)));
+        const key = JSON.stringify([this.active.id, counts(payerPurse), counts(receiverPurse), amount]);
+        if (!this.#plans.has(key)) {
+            if (this.#plans.size >= this.PLAN_CACHE_SIZE) this.#plans.delete(this.#plans.keys().next().value);
+            this.#plans.set(key, this.#planPayment(payerPurse, receiverPurse, amount));
+        }
+        return foundry.utils.deepClone(this.#plans.get(key));
+    }
+
+    static #planPayment(payerPurse, receiverPurse, amount) {
+        const denominations = this.getDenominations();
+        const chained = denominations.every((d, i) => i === 0 || denominations[i - 1].value % d.value === 0);
+
+        // The receiver cannot give back more than it holds. When every denomination divides the next larger one,
+        // a payment overpaying by a whole coin or more can always swap that coin against change, so the overpayment
+        // stays below the largest coin
+        let most = Math.min(this.toBase(payerPurse), amount + this.toBase(receiverPurse));
+        if (chained) most = Math.min(most, amount + denominations[0].value - 1);
+
+        const pay = this.#exactChange(payerPurse, most);
+        const exact = pay(amount);
+        if (exact) return { paid: exact, change: this.emptyPurse() };
+
+        const giveChange = this.#exactChange(receiverPurse, most - amount);
+        for (let total = amount + 1; total <= most; total++) {
+            const paid = pay(total);
+            if (!paid) continue;
+            const change = giveChange(total - amount);
+            if (change) return { paid, change };
+        }
+        return null;
+    }
+
+    /**
+     * A function finding coins from a purse that add up to exactly an amount, largest coins first
+     * When every denomination divides the next larger one, taking as many large coins as fit always works;
+     * other systems build a table of reachable sums, one row per denomination, up to a limit
+     * @param {Object} purse
+     * @param {number} limit - Largest amount that will be asked for
+     * @returns {function(number): Object|null}
+     */
+    static #exactChange(purse, limit) {
+        const denominations = this.getDenominations();
+        const available = denominations.map(d => Math.max(0, Math.floor(Number(purse?.[d.key]) || 0)));
+
+        const chained = denominations.every((d, i) => i === 0 || denominations[i - 1].value % d.value === 0);
+        if (chained) {
+            const counts = new Array(denominations.length).fill(0);
+            return amount => {
+                for (let i = 0; i < denominations.length; i++) {
+                    counts[i] = Math.min(available[i], Math.floor(amount / denominations[i].value));
+                    amount -= counts[i] * denominations[i].value;
+                }
+                return amount === 0 ? this.#countsToPurse(denominations, counts) : null;
+            };
+        }
+
+        // Work in multiples of the values' common divisor; reachable[i] covers denominations i and smaller
+        const unit = denominations.reduce((divisor, { value }) => {
+            let a = divisor, b = value;
+            while (b) [a, b] = [b, a % b];
+            return a;
+        }, 0);
+        const values = denominations.map(({ value }) => value / unit);
+        const size = Math.min(Math.floor(limit / unit), Math.floor(this.toBase(purse) / unit)) + 1;
+
+        const reachable = new Array(denominations.length + 1);
+        reachable[denominations.length] = new Uint8Array(size);
+        reachable[denominations.length][0] = 1;
+        // Coins of a denomination needed on top of the nearest sum reachable without it, per sum
+        const since = new Float64Array(size);
+        for (let i = denominations.length - 1; i >= 0; i--) {
+            const below = reachable[i + 1];
+            const row = new Uint8Array(size);
+            for (let sum = 0; sum < size; sum++) {
+                since[sum] = below[sum] ? 0 : (sum >= values[i] ? since[sum - values[i]] + 1 : Infinity);
+                row[sum] = since[sum] <= available[i] ? 1 : 0;
+            }
+            reachable[i] = row;
+        }
+
+        return amount => {
+            if (amount % unit) return null;
+            let remaining = amount / unit;
+            if (remaining >= size || !reachable[0][remaining]) return null;
+
+            const counts = values.map((value, i) => {
+                let count = Math.min(available[i], Math.floor(remaining / value));
+                while (!reachable[i + 1][remaining - count * value]) count--;
+                remaining -= count * value;
+                return count;
+            });
+            return this.#countsToPurse(denominations, counts);
+        };
+    }
+
+    static #countsToPurse(denominations, counts) {
+        return Object.fromEntries(denominations.map((d, i) => [d.key, counts[i]]));
+    }
+
+    /**
+     * Check a system definition and sort its denominations
+     * @param {CurrencySystem} system
+     * @returns {CurrencySystem}
+     */
+    static #validate(system) {
+        if (!system?.id) throw new Error('Currency system needs an id');
+        if (!Array.isArray(system.denominations) || !system.denominations.length) {
+            throw new Error(`Currency system "${system.id}" needs at least one denomination`);
+        }
+
+        const denominations = system.denominations.map(d => {
+            if (!d.key || !(Number(d.value) > 0)) throw new Error(`Invalid denomination in "${system.id}": ${JSON.stringify(d)}`);
+            if (!d.path && !d.itemSlug) throw new Error(`Denomination "${d.key}" in "${system.id}" needs a path or itemSlug`);
+            return {
+                label: d.key.toUpperCase(),
+                abbr: d.key.toUpperCase(),
+                color: 'gold',
+                ...d,
+                key: d.key.toLowerCase(),
+                value: Number(d.value)
+            };
+        }).sort((a, b) => b.value - a.value);
+
+        const standard = denominations.some(d => d.key === system.standard) ? system.standard : denominations[0].key;
+        return { label: system.id, ...system, standard, denominations };
+    }
+}
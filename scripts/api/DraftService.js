@@ -0,0 +1,146 @@
+/**
+ * DraftService - Trades a character has put together but not confirmed yet
+ * Drafts live in the character's flags, one per merchant, and refer to items by id
+ */
+
+import { MODULE_ID } from '../constants.js';
+import { ApprovalService } from './ApprovalService.js';
+import { BuyRules } from './BuyRules.js';
+import { CurrencyRegistry } from './CurrencyRegistry.js';
+import { ReservationService } from './ReservationService.js';
+import { ShopData } from './ShopData.js';
+
+export class DraftService {
+
+    /**
+     * The draft a character keeps for a merchant, as stored
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @returns {Object|null}
+     */
+    static get(shopActor, playerActor) {
+        return playerActor.getFlag(MODULE_ID, `drafts.${this.#key(shopActor)}`) ?? null;
+    }
+
+    /**
+     * Describe a trade window's offers for storage
+     * @param {Object} trade
+     * @param {Iterable<{item: Item, quantity: number}>} trade.playerItems
+     * @param {Iterable<{item: Item, quantity: number}>} trade.shopItems
+     * @param {Object} trade.playerCurrency
+     * @param {Object} trade.shopCurrency
+     * @param {boolean} trade.settle
+     * @param {string|null} [trade.awaitingApproval] - Approval queue entry the trade waits on
+     * @returns {Object}
+     */
+    static serialize({ playerItems, shopItems, playerCurrency, shopCurrency, settle, awaitingApproval = null }) {
+        const toRefs = entries => Array.from(entries, ({ item, quantity }) => ({ itemId: item.id, name: item.name, quantity }));
+        return {
+            playerItems: toRefs(playerItems),
+            shopItems: toRefs(shopItems),
+            playerCurrency: CurrencyRegistry.normalizePurse(playerCurrency),
+            shopCurrency: CurrencyRegistry.normalizePurse(shopCurrency),
+            settle: !!settle,
+            awaitingApproval
+        };
+    }
+
+    /**
+     * Whether a serialized draft holds anything worth keeping
+     * @param {Object} draft - Output of serialize
+     */
+    static isEmpty(draft) {
+        return !draft.playerItems.length && !draft.shopItems.length && !draft.awaitingApproval
+            && !CurrencyRegistry.toBase(draft.playerCurrency) && !CurrencyRegistry.toBase(draft.shopCurrency);
+    }
+
+    /**
+     * Store a character's draft for a merchant; an empty draft is removed
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @param {Object} draft - Output of serialize
+     */
+    static async save(shopActor, playerActor, draft) {
+        if (this.isEmpty(draft)) return this.clear(shopActor, playerActor);
+        return playerActor.update({ [`flags.${MODULE_ID}.drafts.${this.#key(shopActor)}`]: { ...draft, time: Date.now() } });
+    }
+
+    /**
+     * Remove a character's draft for a merchant
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     */
+    static async clear(shopActor, playerActor) {
+        if (!this.get(shopActor, playerActor)) return;
+        return playerActor.update({ [`flags.${MODULE_ID}.drafts.-=${this.#key(shopActor)}`]: null });
+    }
+
+    /**
+     * Turn a stored draft back into trade offers, reconciled with what both sides hold now
+     * Items that are gone or no longer on offer are dropped and quantities are cut to the stock left, each with a warning;
+     * merchant stock that other shoppers hold does not count as left
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @returns {Object|null} { playerItems, shopItems, playerCurrency, shopCurrency, settle, awaitingApproval, warnings }, or null without a draft
+     */
+    static restore(shopActor, playerActor) {
+        const draft = this.get(shopActor, playerActor);
+        if (!draft) return null;
+
+        const warnings = [];
+        const holder = ReservationService.holderKey(game.user.id, playerActor);
+        const restoreItems = (actor, refs = [], isShop) => {
+            const restored = new Map();
+            for (const { itemId, name, quantity } of refs) {
+                const item = actor.items.get(itemId);
+                const problem = !item ? `${name} is no longer available.`
+                    : isShop && !game.user.isGM && !ShopData.isVisible(item, playerActor) ? `${item.name} is no longer for sale.`
+                    : !isShop && BuyRules.check(item, shopActor);
+                if (problem) {
+                    warnings.push(`${problem} It was taken out of your trade.`);
+                    continue;
+                }
+
+                const available = isShop ? ReservationService.getAvailable(item, holder) : ShopData.getAvailable(item);
+                if (available < 1) {
+                    warnings.push(isShop && ShopData.getAvailable(item) > 0
+                        ? `Other shoppers hold the last ${item.name}. It was taken out of your trade.`
+                        : `${item.name} has run out. It was taken out of your trade.`);
+                    continue;
+                }
+                if (quantity > available) warnings.push(`Only ${available} ${item.name} left: your trade now has ${available} instead of ${quantity}.`);
+                restored.set(itemId, { item, quantity: Math.min(quantity, available) });
+            }
+            return restored;
+        };
+
+        const restoreCurrency = (actor, offer) => {
+            const purse = CurrencyRegistry.getPurse(actor);
+            const restored = CurrencyRegistry.normalizePurse(offer);
+            for (const { key, label } of CurrencyRegistry.getDenominations()) {
+                if (restored[key] <= purse[key]) continue;
+                warnings.push(`${actor.name} no longer has ${restored[key]} ${label.toLowerCase()}: the offer now has ${purse[key]}.`);
+                restored[key] = purse[key];
+            }
+            return restored;
+        };
+
+        return {
+            playerItems: restoreItems(playerActor, draft.playerItems, false),
+            shopItems: restoreItems(shopActor, draft.shopItems, true),
+            playerCurrency: restoreCurrency(playerActor, draft.playerCurrency),
+            shopCurrency: restoreCurrency(shopActor, draft.shopCurrency),
+            settle: !!draft.settle,
+            // A trade the GM has since reviewed is no longer waiting
+            awaitingApproval: draft.awaitingApproval && ApprovalService.get(draft.awaitingApproval) ? draft.awaitingApproval : null,
+            warnings
+        };
+    }
+
+    /**
+     * Flag key for a merchant; uuids of token actors contain dots, which flag keys cannot
+     */
+    static #key(shopActor) {
+        return shopActor.uuid.replaceAll('.', '-');
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * EconomyService - Regional price multipliers and supply and demand
+ * Economies are defined in a world setting and apply to a merchant by name or through its scene
+ */
+
+import { MODULE_ID } from '../constants.js';
+import { BuyRules } from './BuyRules.js';
+import { ShopData } from './ShopData.js';
+import { TradeService } from './TradeService.js';
+
+/** Furthest supply and demand can move a price, either way */
+const MAX_SUPPLY_SWING = 0.5;
+
+export class EconomyService {
+
+    /** Example economy shown in the setting */
+    static EXAMPLE = {
+        warzone: { name: 'War Zone', multipliers: { weapon: 1.3, 'equipment.heavy': 1.2, consumable: 1.1 } }
+    };
+
+    /** @type {{raw: string, economies: Object}|null} Parsed economies setting */
+    static #economies = null;
+
+    /**
+     * Every defined economy, keyed by id
+     * @returns {Object<string, {name: string, multipliers: Object<string, number>}>}
+     */
+    static getEconomies() {
+        const raw = game.settings.get(MODULE_ID, 'economies');
+        if (this.#economies?.raw === raw) return this.#economies.economies;
+
+        let economies = {};
+        try {
+            for (const [id, economy] of Object.entries(JSON.parse(raw || '{}'))) {
+                const multipliers = Object.fromEntries(Object.entries(economy?.multipliers ?? {})
+                    .filter(([, value]) => Number(value) > 0)
+                    .map(([category, value]) => [category, Number(value)]));
+                economies[id] = { name: String(economy?.name || id), multipliers };
+            }
+        } catch (error) {
+            console.error(`${MODULE_ID} | Invalid economies, ignoring them:`, error);
+            economies = {};
+        }
+
+        this.#economies = { raw, economies };
+        return economies;
+    }
+
+    /**
+     * The economy a merchant trades in: its own choice, or the economy of the scene it stands in
+     * @param {Actor} shopActor
+     * @returns {{id: string, name: string, multipliers: Object}|null}
+     */
+    static getEconomy(shopActor) {
+        const economies = this.getEconomies();
+        const id = ShopData.getSettings(shopActor).economy || this.#getScene(shopActor)?.getFlag(MODULE_ID, 'economy');
+        return economies[id] ? { id, ...economies[id] } : null;
+    }
+
+    /**
+     * An economy's multiplier for an item's category
+     * Categories are item types, optionally with a subtype (weapon.martialM); the most specific wins, * matches anything
+     * @param {Item} item
+     * @param {Actor} shopActor
+     * @returns {number}
+     */
+    static getCategoryMultiplier(item, shopActor) {
+        const economy = this.getEconomy(shopActor);
+        if (!economy) return 1;
+
+        const { multipliers } = economy;
+        const subtype = BuyRules.getSubtype(item);
+        return (subtype && multipliers[`${item.type}.${subtype}`]) ?? multipliers[item.type] ?? multipliers['*'] ?? 1;
+    }
+
+    /**
+     * Supply and demand multiplier from how much of an item the merchant holds
+     * Stock below its normal level costs more, stock above it less; items the merchant does not stock are unaffected
+     * @param {Item} item - A merchant's item, or a player's item the merchant may stock
+     * @param {Actor} shopActor
+     * @returns {number}
+     */
+    static getSupplyMultiplier(item, shopActor) {
+        const strength = Number(game.settings.get(MODULE_ID, 'supplyDemand')) || 0;
+        if (!strength) return 1;
+
+        const stock = item.parent === shopActor ? item : TradeService.findStack(shopActor, item);
+        if (!stock || ShopData.isUnlimited(stock)) return 1;
+
+        const normal = ShopData.getRestockTarget(stock) ?? Number(game.settings.get(MODULE_ID, 'normalStock'));
+        if (!(normal > 0)) return 1;
+
+        const quantity = stock.system.quantity ?? 1;
+        const multiplier = 1 + strength * (1 - quantity / normal);
+        return Math.min(1 + MAX_SUPPLY_SWING, Math.max(1 - MAX_SUPPLY_SWING, multiplier));
+    }
+
+    /**
+     * The scene a merchant stands in: its token's scene, or the viewed scene if the merchant has a token there
+     */
+    static #getScene(shopActor) {
+        if (shopActor.isToken) return shopActor.token.parent;
+        return shopActor.getActiveTokens(false, true)[0]?.parent ?? null;
+    }
+}
@@ -0,0 +1,293 @@
+/**
+ * HaggleService - Skill checks that move a merchant's prices for one trade
+ * The owning player rolls the check through ironic-dc-checks; the active GM opens and records the attempt on the merchant's flags
+ */
+
+import { DC_CHECKS_MODULE_ID, MODULE_ID, SOCKET_ACTIONS } from '../constants.js';
+import { ShopData } from './ShopData.js';
+import { ShopSocket } from './ShopSocket.js';
+
+/** Price change for meeting the DC exactly */
+const BASE_MODIFIER = 0.05;
+
+/** Extra price change per point of margin */
+const MODIFIER_PER_POINT = 0.01;
+
+/** Largest discount or surcharge a haggle can produce */
+const MAX_MODIFIER = 0.25;
+
+/** How long an opened attempt waits for the player's roll before another may start (ms) */
+const HAGGLE_TIMEOUT = 5 * 60 * 1000;
+
+export class HaggleService {
+
+    /** @type {Set<string>} Merchant and character pairs whose attempt the GM is writing */
+    static #inFlight = new Set();
+
+    /**
+     * Register socket handlers
+     */
+    static initialize() {
+        ShopSocket.registerRequest(SOCKET_ACTIONS.HAGGLE_REQUEST, (data, userId) => this.openAttempt(data, userId), {
+            replyAction: SOCKET_ACTIONS.HAGGLE_RESULT
+        });
+        ShopSocket.registerRequest(SOCKET_ACTIONS.HAGGLE_ROLLED, (data, userId) => this.recordAttempt(data, userId), {
+            replyAction: SOCKET_ACTIONS.HAGGLE_RESULT
+        });
+    }
+
+    /**
+     * The stored haggle attempt of a character with a merchant
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @returns {Object|null} { time, expires, skill, dc, total, margin, modifier, used, pending? }
+     */
+    static getAttempt(shopActor, playerActor) {
+        return shopActor.getFlag(MODULE_ID, `haggle.${playerActor.id}`) ?? null;
+    }
+
+    /**
+     * Seconds of world time before the character may haggle with the merchant again
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @returns {number}
+     */
+    static getCooldownRemaining(shopActor, playerActor) {
+        const attempt = this.getAttempt(shopActor, playerActor);
+        if (!attempt) return 0;
+
+        const cooldown = game.settings.get(MODULE_ID, 'haggleCooldown') * 3600;
+        return Math.max(0, attempt.time + cooldown - game.time.worldTime);
+    }
+
+    /**
+     * The price modifier a character has earned with a merchant
+     * Positive values are a discount for the player, negative values a surcharge
+     * The modifier lasts until a trade uses it or the haggle duration runs out
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @returns {number}
+     */
+    static getActiveModifier(shopActor, playerActor) {
+        if (!shopActor || !playerActor) return 0;
+
+        const attempt = this.getAttempt(shopActor, playerActor);
+        if (!attempt || attempt.used) return 0;
+
+        // Attempts stored before haggles had their own duration ran out with the cooldown
+        const expires = attempt.expires ?? attempt.time + game.settings.get(MODULE_ID, 'haggleCooldown') * 3600;
+        if (expires <= game.time.worldTime) return 0;
+        return attempt.modifier ?? 0;
+    }
+
+    /**
+     * Why a character cannot haggle with a merchant right now
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @returns {string|null} null if haggling is allowed
+     */
+    static checkHaggle(shopActor, playerActor) {
+        const settings = ShopData.getSettings(shopActor);
+        if (!settings.haggleEnabled) return `${shopActor.name} does not haggle.`;
+
+        if (this.#isPending(this.getAttempt(shopActor, playerActor))) {
+            return `${shopActor.name} is still waiting on your last haggle.`;
+        }
+
+        const remaining = this.getCooldownRemaining(shopActor, playerActor);
+        if (remaining > 0) {
+            const hours = Math.ceil(remaining / 3600);
+            return `${shopActor.name} will not haggle again for ${hours} hour${hours === 1 ? '' : 's'}.`;
+        }
+        return null;
+    }
+
+    /**
+     * Translate a check's margin into a price modifier
+     * @param {number} margin - Check total minus DC
+     * @returns {number} Positive for a discount, negative for a surcharge
+     */
+    static calculateModifier(margin) {
+        const size = Math.min(MAX_MODIFIER, BASE_MODIFIER + Math.abs(margin) * MODIFIER_PER_POINT);
+        return margin >= 0 ? size : -size;
+    }
+
+    /**
+     * Haggle with a merchant: the GM opens the attempt, this client rolls the check, and the GM records it
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @param {string} skill - Skill key, e.g. per or dec
+     * @returns {Promise<Object|null>} The recorded attempt, or null if the roll was cancelled
+     */
+    static async haggle(shopActor, playerActor, skill) {
+        const problem = this.checkHaggle(shopActor, playerActor);
+        if (problem) throw new Error(problem);
+
+        const settings = ShopData.getSettings(shopActor);
+        if (!settings.haggleSkills.includes(skill)) throw new Error(`${shopActor.name} cannot be haggled with using that skill.`);
+        const api = this.#getChecksAPI();
+
+        const data = { shopActorUuid: shopActor.uuid, playerActorUuid: playerActor.uuid };
+        const { dc } = await ShopSocket.requestGM(SOCKET_ACTIONS.HAGGLE_REQUEST, { ...data, skill });
+
+        let roll;
+        try {
+            roll = await this.#rollCheck(api, playerActor, skill, dc, shopActor);
+        } catch (error) {
+            // Close the attempt so the failure does not hold up the next one
+            await ShopSocket.requestGM(SOCKET_ACTIONS.HAGGLE_ROLLED, { ...data, roll: null });
+            throw error;
+        }
+
+        return ShopSocket.requestGM(SOCKET_ACTIONS.HAGGLE_ROLLED, { ...data, roll: roll?.toJSON() ?? null });
+    }
+
+    /**
+     * Open a haggle attempt on the merchant before the player rolls (GM only)
+     * The pending attempt starts the cooldown, so further requests are refused until this one is recorded
+     * The skill must be one the merchant allows; the DC never comes from the request
+     * @param {Object} data - { shopActorUuid, playerActorUuid, skill }
+     * @param {string} userId - The requesting user
+     * @returns {Promise<Object>} { dc } for the player to roll against
+     */
+    static async openAttempt(data, userId) {
+        const { shopActor, playerActor } = await this.#resolveActors(data, userId);
+        const key = `${shopActor.uuid}.${playerActor.id}`;
+        if (this.#inFlight.has(key)) throw new Error(`${shopActor.name} is still waiting on your last haggle.`);
+
+        this.#inFlight.add(key);
+        try {
+            const problem = this.checkHaggle(shopActor, playerActor);
+            if (problem) throw new Error(problem);
+
+            const settings = ShopData.getSettings(shopActor);
+            if (!settings.haggleSkills.includes(data.skill)) throw new Error(`${shopActor.name} cannot be haggled with using that skill.`);
+
+            await shopActor.setFlag(MODULE_ID, `haggle.${playerActor.id}`, {
+                time: game.time.worldTime,
+                expires: game.time.worldTime,
+                skill: data.skill,
+                dc: settings.haggleDC,
+                total: null,
+                margin: null,
+                modifier: 0,
+                used: false,
+                pending: { userId, requested: Date.now() }
+            });
+            return { dc: settings.haggleDC };
+        } finally {
+            this.#inFlight.delete(key);
+        }
+    }
+
+    /**
+     * Record the player's roll against their open attempt (GM only)
+     * A cancelled roll closes the attempt without using up the cooldown
+     * @param {Object} data - { shopActorUuid, playerActorUuid, roll } where roll is the serialized Roll or null
+     * @param {string} userId - The requesting user, who must be the one that opened the attempt
+     * @returns {Promise<Object|null>} The recorded attempt, or null if the roll was cancelled
+     */
+    static async recordAttempt(data, userId) {
+        const { shopActor, playerActor } = await this.#resolveActors(data, userId);
+        const key = `${shopActor.uuid}.${playerActor.id}`;
+        if (this.#inFlight.has(key)) throw new Error(`${shopActor.name} is still waiting on your last haggle.`);
+
+        this.#inFlight.add(key);
+        try {
+            const pending = this.getAttempt(shopActor, playerActor);
+            if (!this.#isPending(pending) || pending.pending.userId !== userId) {
+                throw new Error(`${shopActor.name} is not expecting a haggle from you.`);
+            }
+
+            if (!data.roll) {
+                await shopActor.unsetFlag(MODULE_ID, `haggle.${playerActor.id}`);
+                return null;
+            }
+
+            const total = Roll.fromData(data.roll).total;
+            if (!Number.isFinite(total)) throw new Error('The haggle roll could not be read.');
+
+            const margin = total - pending.dc;
+            const attempt = {
+                time: pending.time,
+                expires: pending.time + game.settings.get(MODULE_ID, 'haggleDuration') * 3600,
+                skill: pending.skill,
+                dc: pending.dc,
+                total,
+                margin,
+                modifier: this.calculateModifier(margin),
+                used: false
+            };
+
+            // Drop the pending marker in the same update
+            await shopActor.update({
+                [`flags.${MODULE_ID}.haggle.${playerActor.id}`]: { ...attempt, '-=pending': null }
+            });
+            return attempt;
+        } finally {
+            this.#inFlight.delete(key);
+        }
+    }
+
+    /**
+     * Stage marking a character's haggle result as spent
+     * @param {TradeTransaction} transaction
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     */
+    static stageConsume(transaction, shopActor, playerActor) {
+        if (!this.getActiveModifier(shopActor, playerActor)) return;
+        transaction.updateActor(shopActor, { [`flags.${MODULE_ID}.haggle.${playerActor.id}.used`]: true });
+    }
+
+    /**
+     * Resolve the haggling actors of a request and check the user owns the character
+     * @returns {Promise<{shopActor: Actor, playerActor: Actor}>}
+     */
+    static async #resolveActors(data, userId) {
+        const shopActor = await fromUuid(data.shopActorUuid);
+        const playerActor = await fromUuid(data.playerActorUuid);
+        if (!(shopActor instanceof Actor) || !(playerActor instanceof Actor)) {
+            throw new Error('One of the haggling actors no longer exists.');
+        }
+
+        const user = game.users.get(userId);
+        if (!user || (!user.isGM && !playerActor.testUserPermission(user, 'OWNER'))) {
+            throw new Error(`${user?.name ?? 'That user'} does not own ${playerActor.name}.`);
+        }
+        return { shopActor, playerActor };
+    }
+
+    /**
+     * Whether an attempt is still waiting on its roll
+     * Attempts whose player never answered stop blocking after HAGGLE_TIMEOUT
+     * @param {Object|null} attempt
+     * @returns {boolean}
+     */
+    static #isPending(attempt) {
+        return !!attempt?.pending && Date.now() - attempt.pending.requested < HAGGLE_TIMEOUT;
+    }
+
+    /**
+     * The ironic-dc-checks API, which module.json requires
+     * @returns {Object}
+     */
+    static #getChecksAPI() {
+        const api = game.modules.get(DC_CHECKS_MODULE_ID)?.api;
+        if (typeof api?.requestCheck !== 'function') {
+            throw new Error('Haggling needs the ironic-dc-checks module to be active.');
+        }
+        return api;
+    }
+
+    /**
+     * Have the owning player roll the skill check through ironic-dc-checks on this client
+     * @returns {Promise<Roll|null>} The check roll, or null if it was cancelled
+     */
+    static async #rollCheck(api, actor, skill, dc, shopActor) {
+        const result = await api.requestCheck({ actor, skill, dc, flavor: `Haggling with ${shopActor.name}` });
+        const roll = Array.isArray(result) ? result[0] : result;
+        if (roll instanceof Roll) return roll;
+        return roll?.roll instanceof Roll ? roll.roll : null;
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * LedgerService - A record of completed trades
+ * Each trade is stored on both the merchant and the character, in their ledger flags
+ */
+
+import { MODULE_ID } from '../constants.js';
+import { CurrencyRegistry } from './CurrencyRegistry.js';
+import { PricingService } from './PricingService.js';
+
+export class LedgerService {
+
+    /**
+     * Describe a trade for the ledger
+     * Call this before the trade executes, while every item still exists
+     * Trade items may carry a value to record instead of their current price
+     * @param {Object} trade - A resolved trade holding the coins that actually change hands
+     * @param {User} [user] - The user who made the trade
+     * @returns {Object} The ledger entry
+     */
+    static createEntry(trade, user = game.user) {
+        const { shopActor, playerActor } = trade;
+
+        const playerItems = trade.playerItems.map(({ item, quantity, value }) =>
+            this.#describeItem(item, quantity, value ?? PricingService.getSellPrice(item, shopActor, playerActor, quantity)));
+        const shopItems = trade.shopItems.map(({ item, quantity, value }) =>
+            this.#describeItem(item, quantity, value ?? PricingService.getBuyPrice(item, shopActor, playerActor, quantity)));
+
+        const playerValue = this.#total(playerItems, trade.playerCurrency);
+        const shopValue = this.#total(shopItems, trade.shopCurrency);
+
+        return {
+            id: foundry.utils.randomID(),
+            time: Date.now(),
+            worldTime: game.time.worldTime,
+            userId: user?.id ?? null,
+            userName: user?.name ?? '',
+            shop: { uuid: shopActor.uuid, name: shopActor.name },
+            player: { uuid: playerActor.uuid, name: playerActor.name },
+            playerItems,
+            shopItems,
+            playerCurrency: { ...trade.playerCurrency },
+            shopCurrency: { ...trade.shopCurrency },
+            playerValue,
+            shopValue,
+            // Same sign as TradeService.calculateBalance: positive favours the player
+            balance: PricingService.round(shopValue - playerValue)
+        };
+    }
+
+    /**
+     * Store an entry on every actor involved, dropping their oldest entries past the ledger size
+     * Failures are logged rather than thrown: the trade has already happened
+     * @param {Object} entry - See createEntry
+     * @param {...Actor} actors
+     */
+    static async record(entry, ...actors) {
+        const limit = game.settings.get(MODULE_ID, 'ledgerSize');
+
+        for (const actor of actors) {
+            const update = { [`flags.${MODULE_ID}.ledger.${entry.id}`]: entry };
+            if (limit > 0) {
+                for (const stale of this.getEntries(actor).slice(limit - 1)) {
+                    update[`flags.${MODULE_ID}.ledger.-=${stale.id}`] = null;
+                }
+            }
+
+            try {
+                await actor.update(update);
+            } catch (error) {
+                console.error(`${MODULE_ID} | Failed to record trade in ${actor.name}'s ledger:`, error);
+            }
+        }
+    }
+
+    /**
+     * An actor's ledger, newest first
+     * @param {Actor} actor
+     * @returns {Object[]}
+     */
+    static getEntries(actor) {
+        const ledger = actor.getFlag(MODULE_ID, 'ledger') ?? {};
+        return Object.values(ledger)
+            .filter(entry => entry?.id)
+            .sort((a, b) => b.time - a.time);
+    }
+
+    /**
+     * Remove every entry from an actor's ledger
+     * @param {Actor} actor
+     */
+    static async clear(actor) {
+        return actor.update({ [`flags.${MODULE_ID}.-=ledger`]: null });
+    }
+
+    static #describeItem(item, quantity, value) {
+        return { name: item.name, img: item.img, type: item.type, quantity, value };
+    }
+
+    /**
+     * Value of items and coins in the standard denomination
+     */
+    static #total(items, purse) {
+        const itemValue = items.reduce((total, { value }) => total + value, 0);
+        return PricingService.round(itemValue + CurrencyRegistry.purseValue(purse));
+    }
+}
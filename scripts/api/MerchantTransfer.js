@@ -0,0 +1,277 @@
+/**
+ * MerchantTransfer - Export a merchant's definition to JSON and apply it to another actor
+ * A definition holds the shop settings, stock and purse, never the actor's own stats
+ */
+
+import { MODULE_ID, TRADEABLE_TYPES } from '../constants.js';
+import { ContainerService } from './ContainerService.js';
+import { CurrencyRegistry } from './CurrencyRegistry.js';
+import { EconomyService } from './EconomyService.js';
+import { ShopData } from './ShopData.js';
+import { TradeTransaction } from './TradeTransaction.js';
+
+export class MerchantTransfer {
+
+    /** Identifies merchant definition files */
+    static FORMAT = `${MODULE_ID}.merchant`;
+
+    /** Current version of the definition format; older versions still import */
+    static VERSION = 1;
+
+    /**
+     * Describe a merchant as a definition
+     * @param {Actor} actor
+     * @param {Object} [options]
+     * @param {boolean} [options.embed=false] - Embed every item's data, even those with a compendium source
+     * @returns {Object}
+     */
+    static exportMerchant(actor, { embed = false } = {}) {
+        const stock = actor.items.filter(item => TRADEABLE_TYPES.includes(item.type)).map(item => {
+            const source = this.#getCompendiumSource(item);
+            const data = item.toObject();
+            delete data._id;
+
+            return {
+                id: item.id,
+                name: item.name,
+                type: item.type,
+                container: item.system.container ?? null,
+                quantity: item.system.quantity ?? 1,
+                source,
+                data: embed || !source ? data : null,
+                flags: item.flags[MODULE_ID] ?? {},
+                stock: ShopData.getStockEntry(actor, item.id)
+            };
+        });
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exported: new Date().toISOString(),
+            name: actor.name,
+            settings: ShopData.getSettings(actor),
+            currency: {
+                system: CurrencyRegistry.active.id,
+                purse: CurrencyRegistry.getPurse(actor)
+            },
+            stock
+        };
+    }
+
+    /**
+     * Export a merchant and save the definition as a JSON file
+     * @param {Actor} actor
+     * @param {Object} [options] - See exportMerchant
+     * @returns {Object} The definition
+     */
+    static download(actor, options = {}) {
+        const definition = this.exportMerchant(actor, options);
+        const filename = `${actor.name.slugify({ strict: true }) || 'merchant'}.merchant.json`;
+        foundry.utils.saveDataToFile(JSON.stringify(definition, null, 2), 'text/json', filename);
+        return definition;
+    }
+
+    /**
+     * Read a merchant definition from JSON text
+     * @param {string} text
+     * @returns {Object}
+     */
+    static parse(text) {
+        let definition;
+        try {
+            definition = JSON.parse(text);
+        } catch {
+            throw new Error('The file is not valid JSON.');
+        }
+
+        const problem = this.validate(definition);
+        if (problem) throw new Error(problem);
+        return definition;
+    }
+
+    /**
+     * Check that an object is a merchant definition this version can read
+     * @param {*} definition
+     * @returns {string|null} Why the definition is invalid, or null if it is valid
+     */
+    static validate(definition) {
+        if (!definition || typeof definition !== 'object') return 'The file does not contain a merchant definition.';
+        if (definition.format !== this.FORMAT) return 'The file is not an Ironic\'s Shop merchant definition.';
+        if (!Number.isInteger(definition.version) || definition.version < 1) return 'The merchant definition has no valid version.';
+        if (definition.version > this.VERSION) return `The merchant definition is version ${definition.version}; this module reads up to version ${this.VERSION}. Update the module to import it.`;
+        if (definition.settings !== undefined && typeof definition.settings !== 'object') return 'The merchant definition has invalid settings.';
+        if (!Array.isArray(definition.stock)) return 'The merchant definition has no stock list.';
+
+        const invalid = definition.stock.findIndex(entry => !entry || typeof entry !== 'object' || (!entry.source && !entry.data));
+        if (invalid >= 0) return `Stock entry ${invalid + 1} has neither a compendium source nor item data.`;
+        return null;
+    }
+
+    /**
+     * Apply a definition to an actor, making it a merchant (GM only)
+     * @param {Actor} actor
+     * @param {Object} definition - See exportMerchant
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=true] - Remove the actor's current stock first
+     * @returns {Promise<{created: number, unresolved: string[]}>} Items created, and what could not be resolved
+     */
+    static async importMerchant(actor, definition, { replace = true } = {}) {
+        const problem = this.validate(definition);
+        if (problem) throw new Error(problem);
+
+        const unresolved = [];
+        const settings = await this.#resolveSettings(definition.settings ?? {}, unresolved);
+
+        // Resolve every stock entry before touching the actor
+        const stock = [];
+        for (const entry of definition.stock) {
+            const data = await this.#resolveItem(entry, unresolved);
+            if (data) stock.push({ data, entry });
+        }
+
+        // Ids are set up front so container contents can be linked to the new containers
+        const ids = new Map(stock.filter(({ entry }) => entry.id).map(({ entry }) => [entry.id, foundry.utils.randomID()]));
+        for (const { data, entry } of stock) {
+            data._id = ids.get(entry.id) ?? foundry.utils.randomID();
+            const container = entry.container ?? entry.data?.system?.container;
+            if (container || 'container' in (data.system ?? {})) {
+                foundry.utils.setProperty(data, 'system.container', ids.get(container) ?? null);
+            }
+        }
+
+        const created = stock.length
+            ? await actor.createEmbeddedDocuments('Item', stock.map(({ data }) => data), { keepId: true })
+            : [];
+
+        try {
+            const update = {
+                [`flags.${MODULE_ID}.isShop`]: true,
+                [`flags.${MODULE_ID}.settings`]: settings
+            };
+            created.forEach((item, index) => {
+                const entry = stock[index].entry;
+                update[`flags.${MODULE_ID}.stock.${item.id}`] = foundry.utils.mergeObject(
+                    foundry.utils.deepClone(ShopData.DEFAULT_STOCK), entry.stock ?? {}, { inplace: false });
+            });
+
+            const transaction = new TradeTransaction();
+            if (replace) {
+                // Only the shop's own stock goes; the actor's other belongings stay
+                const createdIds = new Set(created.map(item => item.id));
+                const removed = new Set();
+                for (const item of actor.items) {
+                    if (createdIds.has(item.id) || !this.#isStock(actor, item)) continue;
+                    for (const doomed of [item, ...ContainerService.getContents(item)]) removed.add(doomed);
+                }
+                for (const item of removed) {
+                    transaction.deleteItem(item);
+                    update[`flags.${MODULE_ID}.stock.-=${item.id}`] = null;
+                }
+            }
+            transaction.updateActor(actor, update);
+
+            // Coins only carry over between worlds using the same currency system
+            const currency = definition.currency;
+            if (currency?.purse && currency.system === CurrencyRegistry.active.id) {
+                CurrencyRegistry.stagePurse(transaction, actor, CurrencyRegistry.normalizePurse(currency.purse));
+            } else if (currency?.purse) {
+                unresolved.push(`Purse: the definition uses the ${currency.system} currency, this world uses ${CurrencyRegistry.active.id}.`);
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            await actor.deleteEmbeddedDocuments('Item', created.map(item => item.id));
+            throw error;
+        }
+
+        return { created: created.length, unresolved };
+    }
+
+    /**
+     * Merge imported settings over the defaults, dropping references this world cannot resolve
+     */
+    static async #resolveSettings(imported, unresolved) {
+        const settings = foundry.utils.mergeObject(foundry.utils.deepClone(ShopData.DEFAULT_SETTINGS), imported, { inplace: false });
+
+        if (settings.economy && !(settings.economy in EconomyService.getEconomies())) {
+            unresolved.push(`Economy: ${settings.economy} is not defined in this world.`);
+            settings.economy = '';
+        }
+
+        const tables = [];
+        for (const uuid of settings.generator.tables ?? []) {
+            if (await this.#fromUuid(uuid) instanceof RollTable) tables.push(uuid);
+            else unresolved.push(`Generator table: ${uuid} could not be found.`);
+        }
+        settings.generator.tables = tables;
+
+        settings.generator.packs = (settings.generator.packs ?? []).filter(id => {
+            if (game.packs.has(id)) return true;
+            unresolved.push(`Generator compendium: ${id} could not be found.`);
+            return false;
+        });
+
+        return settings;
+    }
+
+    /**
+     * Whether an item is part of a merchant's stock rather than its own gear:
+     * it has stock settings, or the shop bought or generated it
+     */
+    static #isStock(actor, item) {
+        if (!TRADEABLE_TYPES.includes(item.type)) return false;
+        return foundry.utils.hasProperty(actor.flags, `${MODULE_ID}.stock.${item.id}`)
+            || !!item.getFlag(MODULE_ID, 'surplus')
+            || !!item.getFlag(MODULE_ID, 'generated');
+    }
+
+    /**
+     * Item data for a stock entry: its embedded data, else its compendium source
+     * Embedded data keeps changes made to the item after it left the compendium
+     * @returns {Promise<Object|null>} null if the entry cannot be resolved
+     */
+    static async #resolveItem(entry, unresolved) {
+        let data = entry.data ? foundry.utils.deepClone(entry.data) : null;
+        if (!data && entry.source) {
+            const source = await this.#fromUuid(entry.source);
+            if (source instanceof Item) {
+                data = source.toObject();
+                foundry.utils.setProperty(data, '_stats.compendiumSource', entry.source);
+                foundry.utils.setProperty(data, 'flags.core.sourceId', entry.source);
+            }
+        }
+
+        const name = entry.name ?? data?.name ?? 'Unnamed item';
+        if (!data) {
+            unresolved.push(`${name}: ${entry.source} could not be found.`);
+            return null;
+        }
+        if (!Item.TYPES.includes(data.type)) {
+            unresolved.push(`${name}: item type ${data.type} does not exist in this system.`);
+            return null;
+        }
+
+        if (Number.isFinite(Number(entry.quantity))) foundry.utils.setProperty(data, 'system.quantity', Number(entry.quantity));
+        if (entry.flags) foundry.utils.setProperty(data, `flags.${MODULE_ID}`, foundry.utils.deepClone(entry.flags));
+        return data;
+    }
+
+    /**
+     * Look up a uuid, treating malformed ones as missing
+     */
+    static async #fromUuid(uuid) {
+        try {
+            return await fromUuid(uuid);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * The compendium an item was imported from, if any
+     */
+    static #getCompendiumSource(item) {
+        const source = item._stats?.compendiumSource ?? item.flags?.core?.sourceId;
+        return source?.startsWith('Compendium.') ? source : null;
+    }
+}
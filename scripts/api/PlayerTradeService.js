@@ -0,0 +1,343 @@
+/**
+ * PlayerTradeService - Trades between two player characters
+ * The active GM holds every session: offers and acceptance go through it, and each change is broadcast to both sides
+ */
+
+import { PLAYER_TRADE_HOOK, SOCKET_ACTIONS } from '../constants.js';
+import { ContainerService } from './ContainerService.js';
+import { CurrencyRegistry } from './CurrencyRegistry.js';
+import { PricingService } from './PricingService.js';
+import { ShopSocket } from './ShopSocket.js';
+import { TradeService } from './TradeService.js';
+import { TradeTransaction } from './TradeTransaction.js';
+
+export class PlayerTradeService {
+
+    /** @type {Map<string, Object>} Open sessions, held by the active GM */
+    static #sessions = new Map();
+
+    /** @type {Map<string, Promise>} Work queued per session, so one request never runs while another awaits */
+    static #queues = new Map();
+
+    /** @type {Map<string, Object>} Open sessions this client takes part in, as last synced */
+    static #joined = new Map();
+
+    /** @type {string|null} The active GM holding the sessions */
+    static #gmId = null;
+
+    /**
+     * Register socket handlers
+     */
+    static initialize() {
+        const options = { replyAction: SOCKET_ACTIONS.PLAYER_TRADE_REPLY };
+        ShopSocket.registerRequest(SOCKET_ACTIONS.PLAYER_TRADE_OPEN, (data, userId) => this.#open(data, userId), options);
+        ShopSocket.registerRequest(SOCKET_ACTIONS.PLAYER_TRADE_OFFER, (data, userId) => this.#serialize(data.sessionId, () => this.#offer(data, userId)), options);
+        ShopSocket.registerRequest(SOCKET_ACTIONS.PLAYER_TRADE_ACCEPT, (data, userId) => this.#serialize(data.sessionId, () => this.#accept(data, userId)), options);
+        ShopSocket.registerRequest(SOCKET_ACTIONS.PLAYER_TRADE_CANCEL, (data, userId) => this.#serialize(data.sessionId, () => this.#cancel(data, userId)), options);
+
+        // Only the active GM holds sessions
+        ShopSocket.register(SOCKET_ACTIONS.PLAYER_TRADE_SYNC, ({ session }, { senderId }) => {
+            if (senderId === game.users.activeGM?.id) this.#notify(session);
+        });
+
+        Hooks.once('ready', () => this.#gmId = game.users.activeGM?.id ?? null);
+
+        // A trade cannot go on without one of its players, or the GM holding it
+        Hooks.on('userConnected', (user, connected) => {
+            if (user.isGM) this.#onGMChange();
+            if (connected || game.user !== game.users.activeGM) return;
+            for (const session of this.#sessions.values()) {
+                if (!session.sides.some(side => side.userId === user.id)) continue;
+                this.#serialize(session.id, () => this.#end(session, `${user.name} left the game.`));
+            }
+        });
+    }
+
+    // =====================
+    // Requests
+    // =====================
+
+    /**
+     * Offer a trade to another player's character
+     * @param {Actor} actor - The character making the offer
+     * @param {Actor} partner - The other player's character
+     * @returns {Promise<string>} The session id
+     */
+    static async open(actor, partner) {
+        return ShopSocket.requestGM(SOCKET_ACTIONS.PLAYER_TRADE_OPEN, {
+            actorUuid: actor.uuid,
+            partnerUuid: partner.uuid
+        });
+    }
+
+    /**
+     * Replace this user's offer in a session; both sides have to accept again
+     * @param {string} sessionId
+     * @param {Object} offer
+     * @param {{itemId: string, quantity: number}[]} offer.items
+     * @param {Object<string, number>} offer.currency
+     */
+    static async offer(sessionId, { items, currency }) {
+        return ShopSocket.requestGM(SOCKET_ACTIONS.PLAYER_TRADE_OFFER, { sessionId, items, currency });
+    }
+
+    /**
+     * Tick or untick this user's acceptance; the trade executes once both sides have accepted
+     * @param {string} sessionId
+     * @param {boolean} accepted
+     */
+    static async accept(sessionId, accepted) {
+        return ShopSocket.requestGM(SOCKET_ACTIONS.PLAYER_TRADE_ACCEPT, { sessionId, accepted });
+    }
+
+    /**
+     * End a session without trading
+     * @param {string} sessionId
+     */
+    static async cancel(sessionId) {
+        return ShopSocket.requestGM(SOCKET_ACTIONS.PLAYER_TRADE_CANCEL, { sessionId });
+    }
+
+    // =====================
+    // GM handlers
+    // =====================
+
+    static async #open({ actorUuid, partnerUuid }, userId) {
+        const actor = await fromUuid(actorUuid);
+        const partner = await fromUuid(partnerUuid);
+        if (!(actor instanceof Actor) || !(partner instanceof Actor)) throw new Error('One of the trading actors no longer exists.');
+        if (actor === partner) throw new Error('A character cannot trade with itself.');
+
+        const user = game.users.get(userId);
+        if (!user || !actor.testUserPermission(user, 'OWNER')) {
+            throw new Error(`${user?.name ?? 'That user'} does not own ${actor.name}.`);
+        }
+
+        // The partner's side goes to a player who owns it, or a GM if no player is online
+        const owners = game.users.filter(other => other.active && other !== user && partner.testUserPermission(other, 'OWNER'));
+        const partnerUser = owners.find(other => !other.isGM) ?? owners[0];
+        if (!partnerUser) throw new Error(`No one playing ${partner.name} is online.`);
+
+        const busy = [...this.#sessions.values()].find(session => session.sides.some(side => [actorUuid, partnerUuid].includes(side.actorUuid)));
+        if (busy) throw new Error('One of these characters is already trading.');
+
+        const session = {
+            id: foundry.utils.randomID(),
+            status: 'open',
+            message: '',
+            sides: [this.#createSide(actor, user), this.#createSide(partner, partnerUser)]
+        };
+        this.#sessions.set(session.id, session);
+        this.#broadcast(session);
+        return session.id;
+    }
+
+    static async #offer({ sessionId, items = [], currency = {} }, userId) {
+        const { session, side } = this.#getSide(sessionId, userId);
+        const actor = await fromUuid(side.actorUuid);
+
+        side.items = TradeService.mergeRefs(items).map(({ itemId, quantity }) => {
+            const item = actor?.items.get(itemId);
+            if (!item) throw new Error(`An item offered by ${actor?.name ?? 'a character'} no longer exists.`);
+            quantity = Number(quantity);
+            return { itemId, quantity, name: item.name, img: item.img, value: PricingService.getBasePrice(item) * quantity };
+        });
+        side.currency = CurrencyRegistry.normalizePurse(currency);
+
+        // Any change to an offer needs both sides to look again
+        session.message = '';
+        for (const each of session.sides) each.accepted = false;
+
+        const problem = await this.#check(session);
+        if (problem) session.message = problem;
+
+        this.#broadcast(session);
+    }
+
+    static async #accept({ sessionId, accepted }, userId) {
+        const { session, side } = this.#getSide(sessionId, userId);
+        side.accepted = !!accepted;
+
+        if (session.sides.every(each => each.accepted)) {
+            const problem = await this.#check(session);
+            if (problem) {
+                for (const each of session.sides) each.accepted = false;
+                session.message = problem;
+            } else {
+                try {
+                    await this.#execute(session);
+                    session.status = 'complete';
+                    session.message = 'The trade is done.';
+                } catch (error) {
+                    console.error('Player trade error:', error);
+                    for (const each of session.sides) each.accepted = false;
+                    session.message = 'The trade failed. See the GM\'s console for details.';
+                }
+            }
+        }
+
+        if (session.status !== 'open') this.#sessions.delete(session.id);
+        this.#broadcast(session);
+    }
+
+    static async #cancel({ sessionId }, userId) {
+        const { session, side } = this.#getSide(sessionId, userId);
+        this.#end(session, `${side.name} ended the trade.`);
+    }
+
+    /**
+     * Close a session without trading
+     */
+    static #end(session, message) {
+        if (!this.#sessions.has(session.id)) return;
+        session.status = 'cancelled';
+        session.message = message;
+        this.#sessions.delete(session.id);
+        this.#broadcast(session);
+    }
+
+    /**
+     * End this client's sessions when another GM takes over, since the sessions lived in the old GM's memory
+     */
+    static #onGMChange() {
+        const gmId = game.users.activeGM?.id ?? null;
+        if (gmId === this.#gmId) return;
+        this.#gmId = gmId;
+
+        this.#sessions.clear();
+        for (const session of this.#joined.values()) {
+            this.#notify({ ...session, status: 'cancelled', message: 'The trade ended because the GM changed.' });
+        }
+    }
+
+    /**
+     * Run a session's requests one after another
+     * Accepting awaits checks and the transaction; an offer arriving meanwhile must not change what was accepted
+     * @param {string} sessionId
+     * @param {Function} task
+     * @returns {Promise<*>} The task's result
+     */
+    static #serialize(sessionId, task) {
+        const next = (this.#queues.get(sessionId) ?? Promise.resolve()).catch(() => {}).then(task);
+        this.#queues.set(sessionId, next);
+        next.catch(() => {}).finally(() => {
+            if (this.#queues.get(sessionId) === next) this.#queues.delete(sessionId);
+        });
+        return next;
+    }
+
+    // =====================
+    // Trades
+    // =====================
+
+    /**
+     * Resolve a session's offers into actors and items
+     */
+    static async #resolve(session) {
+        return Promise.all(session.sides.map(async side => {
+            const actor = await fromUuid(side.actorUuid);
+            if (!(actor instanceof Actor)) throw new Error(`${side.name} no longer exists.`);
+
+            const items = TradeService.mergeRefs(side.items).map(({ itemId, quantity }) => {
+                const item = actor.items.get(itemId);
+                if (!item) throw new Error(`An item offered by ${actor.name} no longer exists.`);
+                return { item, quantity };
+            });
+            return { actor, items, currency: side.currency };
+        }));
+    }
+
+    /**
+     * Why a session's offers cannot be traded right now
+     * @returns {Promise<string|null>}
+     */
+    static async #check(session) {
+        let sides;
+        try {
+            sides = await this.#resolve(session);
+        } catch (error) {
+            return error.message;
+        }
+
+        for (const { actor, items, currency } of sides) {
+            for (const { item, quantity } of items) {
+                if (!Number.isInteger(quantity) || quantity < 1) return `Invalid quantity for ${item.name}.`;
+                if (quantity > (item.system.quantity ?? 1)) return `${actor.name} does not have that many ${item.name}.`;
+            }
+
+            const container = ContainerService.check(items);
+            if (container) return container;
+
+            const purse = CurrencyRegistry.getPurse(actor);
+            for (const { key, label } of CurrencyRegistry.getDenominations()) {
+                if ((currency[key] ?? 0) > purse[key]) return `${actor.name} does not have enough ${label.toLowerCase()}.`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Swap both offers in one transaction
+     */
+    static async #execute(session) {
+        const [first, second] = await this.#resolve(session);
+        const transaction = new TradeTransaction();
+
+        for (const [side, other] of [[first, second], [second, first]]) {
+            const purse = CurrencyRegistry.combinePurses(CurrencyRegistry.getPurse(side.actor), other.currency, side.currency);
+            CurrencyRegistry.stagePurse(transaction, side.actor, purse);
+
+            for (const { item, quantity } of side.items) {
+                TradeService.stageTransfer(transaction, item, other.actor, quantity);
+            }
+        }
+
+        await transaction.commit();
+    }
+
+    // =====================
+    // Sessions
+    // =====================
+
+    static #createSide(actor, user) {
+        return {
+            actorUuid: actor.uuid,
+            userId: user.id,
+            name: actor.name,
+            img: actor.img,
+            items: [],
+            currency: CurrencyRegistry.emptyPurse(),
+            accepted: false
+        };
+    }
+
+    /**
+     * A session and the side a user controls in it
+     */
+    static #getSide(sessionId, userId) {
+        const session = this.#sessions.get(sessionId);
+        if (!session) throw new Error('That trade has already ended.');
+
+        const side = session.sides.find(each => each.userId === userId);
+        if (!side) throw new Error('You are not part of that trade.');
+        return { session, side };
+    }
+
+    /**
+     * Send a session to both sides
+     */
+    static #broadcast(session) {
+        ShopSocket.emit(SOCKET_ACTIONS.PLAYER_TRADE_SYNC, { session });
+        this.#notify(session);
+    }
+
+    /**
+     * Tell this client about a session it takes part in
+     */
+    static #notify(session) {
+        if (!session?.sides?.some(side => side.userId === game.user.id)) return;
+        if (session.status === 'open') this.#joined.set(session.id, session);
+        else this.#joined.delete(session.id);
+        Hooks.callAll(PLAYER_TRADE_HOOK, foundry.utils.deepClone(session));
+    }
+}
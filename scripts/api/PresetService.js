@@ -0,0 +1,192 @@
+/**
+ * PresetService - Merchant archetypes that set up a shop in one step
+ * Built-in presets bundle pricing, buy rules, a starting purse and a stock generator recipe;
+ * presets saved from a merchant are merchant definitions kept in a hidden world setting
+ */
+
+import { MODULE_ID } from '../constants.js';
+import { CurrencyRegistry } from './CurrencyRegistry.js';
+import { MerchantTransfer } from './MerchantTransfer.js';
+import { ShopData } from './ShopData.js';
+import { StockGenerator } from './StockGenerator.js';
+
+/** Settings that describe the merchant itself rather than its trade; applying a preset keeps them */
+const IDENTITY_SETTINGS = ['shopName', 'greeting', 'faction', 'economy', 'approval'];
+
+const ARMS = ['simpleM', 'simpleR', 'martialM', 'martialR', 'light', 'medium', 'heavy', 'shield'];
+
+export class PresetService {
+
+    /**
+     * Archetypes shipped with the module; gold is in the standard denomination
+     * Recipes use dnd5e item types, subtypes and rarities; generators without sources draw from every Item compendium
+     */
+    static BUILT_IN = {
+        generalStore: {
+            name: 'General Store',
+            description: 'Adventuring gear, tools and supplies at list price.',
+            gold: 250,
+            settings: {
+                buyMarkup: 1,
+                sellRatio: 0.5,
+                buyRules: { types: ['equipment', 'consumable', 'tool', 'loot', 'container'], maxPrice: 100 },
+                generator: { types: ['consumable', 'tool', 'loot', 'container'], maxPrice: 25, rolls: '2d4+2', minQuantity: 1, maxQuantity: 5 }
+            }
+        },
+        blacksmith: {
+            name: 'Blacksmith',
+            description: 'Mundane weapons and armour; buys metalwork.',
+            gold: 800,
+            settings: {
+                buyMarkup: 1.1,
+                sellRatio: 0.5,
+                buyRules: { types: ['weapon', 'equipment'], subtypes: ARMS },
+                generator: { types: ['weapon', 'equipment'], subtypes: ARMS, maxPrice: 500, rolls: '2d4', minQuantity: 1, maxQuantity: 2 }
+            }
+        },
+        alchemist: {
+            name: 'Alchemist',
+            description: 'Potions and poisons; buys reagents and brews.',
+            gold: 600,
+            settings: {
+                buyMarkup: 1.2,
+                sellRatio: 0.6,
+                buyRules: { types: ['consumable', 'loot'], subtypes: ['potion', 'poison', 'material'] },
+                generator: { types: ['consumable'], subtypes: ['potion', 'poison'], maxPrice: 500, rolls: '1d4+2', minQuantity: 1, maxQuantity: 3 }
+            }
+        },
+        fence: {
+            name: 'Fence',
+            description: 'Buys anything, no questions asked, for a fraction of its worth.',
+            gold: 1500,
+            settings: {
+                buyMarkup: 1.3,
+                sellRatio: 0.3,
+                haggleDC: 12,
+                generator: { types: ['weapon', 'equipment', 'loot', 'consumable'], minPrice: 10, maxPrice: 1000, rolls: '1d6', minQuantity: 1, maxQuantity: 1 }
+            }
+        },
+        temple: {
+            name: 'Temple',
+            description: 'Healing potions and scrolls at fixed prices; only takes the same in return.',
+            gold: 400,
+            settings: {
+                buyMarkup: 1,
+                sellRatio: 0.4,
+                haggleEnabled: false,
+                buyRules: { types: ['consumable'], subtypes: ['potion', 'scroll'] },
+                generator: { types: ['consumable'], subtypes: ['potion', 'scroll'], maxPrice: 300, rolls: '1d4+1', minQuantity: 1, maxQuantity: 3 }
+            }
+        },
+        magicEmporium: {
+            name: 'Magic Emporium',
+            description: 'Uncommon to very rare magic items at a steep markup.',
+            gold: 5000,
+            settings: {
+                buyMarkup: 1.5,
+                sellRatio: 0.5,
+                haggleDC: 18,
+                buyRules: { rarities: ['uncommon', 'rare', 'veryRare', 'legendary'] },
+                generator: { rarities: ['uncommon', 'rare', 'veryRare'], rolls: '1d4+1', minQuantity: 1, maxQuantity: 1 }
+            }
+        }
+    };
+
+    /**
+     * Every preset, built-in first
+     * @returns {Object<string, {id: string, name: string, description: string, custom: boolean}>}
+     */
+    static getPresets() {
+        const describe = (id, { name, description = '' }, custom) => [id, { id, name, description, custom }];
+        return Object.fromEntries([
+            ...Object.entries(this.BUILT_IN).map(([id, preset]) => describe(id, preset, false)),
+            ...Object.entries(this.#getCustom()).map(([id, preset]) => describe(id, preset, true))
+        ]);
+    }
+
+    /**
+     * Apply a preset to an actor, making it a merchant (GM only)
+     * The merchant keeps its name, greeting, faction, economy and approval choice
+     * @param {Actor} actor
+     * @param {string} id - A preset id from getPresets
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=true] - Remove the actor's current stock first
+     * @returns {Promise<{name: string, created: number, unresolved: string[]}>}
+     */
+    static async apply(actor, id, { replace = true } = {}) {
+        const builtIn = this.BUILT_IN[id];
+        const custom = this.#getCustom()[id];
+        if (!builtIn && !custom) throw new Error(`There is no merchant preset "${id}".`);
+
+        const definition = builtIn ? this.#toDefinition(builtIn) : foundry.utils.deepClone(custom.definition);
+        const current = ShopData.getSettings(actor);
+        for (const key of IDENTITY_SETTINGS) definition.settings[key] = current[key];
+
+        const result = await MerchantTransfer.importMerchant(actor, definition, { replace });
+
+        // A built-in preset's stock is its recipe
+        let created = result.created;
+        if (builtIn) {
+            const rules = StockGenerator.getRules(actor);
+            if (StockGenerator.hasSources(rules)) created += (await StockGenerator.generate(actor, rules)).length;
+            else result.unresolved.push('Stock: there are no Item compendiums to draw stock from.');
+        }
+
+        return { name: (builtIn ?? custom).name, created, unresolved: result.unresolved };
+    }
+
+    /**
+     * Save a merchant's settings, stock and purse as a new preset (GM only)
+     * @param {Actor} actor
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {string} [options.description='']
+     * @returns {Promise<string>} The new preset's id
+     */
+    static async save(actor, name, { description = '' } = {}) {
+        name = String(name ?? '').trim();
+        if (!name) throw new Error('A preset needs a name.');
+
+        const definition = MerchantTransfer.exportMerchant(actor);
+        for (const key of IDENTITY_SETTINGS) delete definition.settings[key];
+
+        const id = foundry.utils.randomID();
+        await game.settings.set(MODULE_ID, 'presets', { ...this.#getCustom(), [id]: { name, description, definition } });
+        return id;
+    }
+
+    /**
+     * Delete a saved preset (GM only); built-in presets cannot be deleted
+     * @param {string} id
+     */
+    static async delete(id) {
+        const presets = this.#getCustom();
+        if (!presets[id]) throw new Error(this.BUILT_IN[id] ? 'Built-in presets cannot be deleted.' : `There is no merchant preset "${id}".`);
+        delete presets[id];
+        return game.settings.set(MODULE_ID, 'presets', presets);
+    }
+
+    static #getCustom() {
+        return foundry.utils.deepClone(game.settings.get(MODULE_ID, 'presets') ?? {});
+    }
+
+    /**
+     * Describe a built-in preset as a merchant definition without stock
+     */
+    static #toDefinition({ name, gold, settings }) {
+        const generator = foundry.utils.deepClone(settings.generator ?? {});
+        if (!generator.tables?.length && !generator.packs?.length) {
+            generator.packs = game.packs.filter(pack => pack.documentName === 'Item').map(pack => pack.collection);
+        }
+
+        const standard = CurrencyRegistry.getStandard();
+        return {
+            format: MerchantTransfer.FORMAT,
+            version: MerchantTransfer.VERSION,
+            name,
+            settings: { ...foundry.utils.deepClone(settings), generator },
+            currency: { system: CurrencyRegistry.active.id, purse: { [standard.key]: gold } },
+            stock: []
+        };
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * PricingService - What a merchant charges and pays for items
+ * Applies the merchant's buy markup and sell-back ratio on top of list prices, then the regional economy,
+ * supply and demand, the character's reputation and any haggling result they have with the merchant
+ */
+
+import { MODULE_ID } from '../constants.js';
+import { ContainerService } from './ContainerService.js';
+import { CurrencyRegistry } from './CurrencyRegistry.js';
+import { EconomyService } from './EconomyService.js';
+import { HaggleService } from './HaggleService.js';
+import { ReputationService } from './ReputationService.js';
+import { ShopData } from './ShopData.js';
+
+export class PricingService {
+
+    /**
+     * Multiplier applied to the merchant's prices when players buy
+     * @param {Actor} shopActor
+     * @returns {number}
+     */
+    static getBuyMarkup(shopActor) {
+        const markup = ShopData.getSettings(shopActor).buyMarkup;
+        return this.#isSet(markup) ? Number(markup) : game.settings.get(MODULE_ID, 'defaultBuyMarkup');
+    }
+
+    /**
+     * Fraction of list price the merchant pays when players sell
+     * @param {Actor} shopActor
+     * @returns {number}
+     */
+    static getSellRatio(shopActor) {
+        const ratio = ShopData.getSettings(shopActor).sellRatio;
+        return this.#isSet(ratio) ? Number(ratio) : game.settings.get(MODULE_ID, 'defaultSellRatio');
+    }
+
+    /**
+     * Multipliers for the merchant's prices and for what it pays, after reputation and haggling
+     * Both modifiers are positive for a better deal
+     * @param {Actor} shopActor
+     * @param {Actor} [playerActor] - The trading character, for reputation and haggling results
+     * @returns {{buy: number, sell: number, haggle: number, reputation: number}}
+     */
+    static getMultipliers(shopActor, playerActor = null) {
+        const haggle = HaggleService.getActiveModifier(shopActor, playerActor);
+        const reputation = ReputationService.getModifier(shopActor, playerActor);
+        return {
+            buy: this.getBuyMarkup(shopActor) * (1 - reputation) * (1 - haggle),
+            sell: this.getSellRatio(shopActor) * (1 + reputation) * (1 + haggle),
+            haggle,
+            reputation
+        };
+    }
+
+    /**
+     * List price of one unit of an item, in the standard denomination
+     * Plain prices are converted from the item's price denomination, coin-object prices like pf2e's are summed
+     * @param {Item} item
+     * @returns {number}
+     */
+    static getBasePrice(item) {
+        const pricePath = game.settings.get(MODULE_ID, 'itemPricePath');
+        const price = foundry.utils.getProperty(item, pricePath) ?? 0;
+        return CurrencyRegistry.priceValue(price, CurrencyRegistry.getPriceDenomination(item));
+    }
+
+    /**
+     * What a player pays the merchant for some of its item, in the standard denomination
+     * A price override set in the shop editor replaces the marked-up list price
+     * @param {Item} item - An item owned by the merchant
+     * @param {Actor} shopActor
+     * @param {Actor} [playerActor] - The buying character, for reputation and haggling results
+     * @param {number} [quantity=1]
+     * @returns {number}
+     */
+    static getBuyPrice(item, shopActor, playerActor = null, quantity = 1) {
+        const unit = this.getBreakdown(item, shopActor, playerActor, 'buy').unit;
+        return this.round(unit * quantity + this.getContentsPrice(item, shopActor, playerActor, 'buy'));
+    }
+
+    /**
+     * What the merchant pays a player for some of their item, in the standard denomination
+     * @param {Item} item - An item owned by the player
+     * @param {Actor} shopActor
+     * @param {Actor} [playerActor] - The selling character, for reputation and haggling results
+     * @param {number} [quantity=1]
+     * @returns {number}
+     */
+    static getSellPrice(item, shopActor, playerActor = null, quantity = 1) {
+        const unit = this.getBreakdown(item, shopActor, playerActor, 'sell').unit;
+        return this.round(unit * quantity + this.getContentsPrice(item, shopActor, playerActor, 'sell'));
+    }
+
+    /**
+     * What a container's contents add to its price: each item at its own price, or nothing if the merchant leaves them out
+     * Containers trade whole, so the contents count once whatever the quantity
+     * @param {Item} item
+     * @param {Actor} shopActor
+     * @param {Actor} [playerActor]
+     * @param {string} [side='buy']
+     * @returns {number}
+     */
+    static getContentsPrice(item, shopActor, playerActor = null, side = 'buy') {
+        if (!ShopData.getSettings(shopActor).priceContents) return 0;
+        return this.round(ContainerService.getContents(item).reduce((total, content) =>
+            total + this.getBreakdown(content, shopActor, playerActor, side).unit * (content.system.quantity ?? 1), 0));
+    }
+
+    /**
+     * How the price of one unit of an item is made up
+     * A price override set in the shop editor replaces the list price and ignores markup, economy and supply
+     * @param {Item} item
+     * @param {Actor} shopActor
+     * @param {Actor} [playerActor] - The trading character, for reputation and haggling results
+     * @param {string} [side='buy'] - buy when the player buys from the merchant, sell when they sell to it
+     * @returns {{base: number, override: boolean, factors: {label: string, multiplier: number}[], unit: number}}
+     */
+    static getBreakdown(item, shopActor, playerActor = null, side = 'buy') {
+        const { haggle, reputation } = this.getMultipliers(shopActor, playerActor);
+        const buying = side === 'buy';
+        const override = buying ? ShopData.getPriceOverride(item) : null;
+        const factors = [];
+
+        if (override === null) {
+            factors.push(
+                { label: buying ? 'Markup' : 'Sell-back', multiplier: buying ? this.getBuyMarkup(shopActor) : this.getSellRatio(shopActor) },
+                { label: EconomyService.getEconomy(shopActor)?.name ?? 'Economy', multiplier: EconomyService.getCategoryMultiplier(item, shopActor) },
+                { label: 'Supply', multiplier: EconomyService.getSupplyMultiplier(item, shopActor) }
+            );
+        }
+
+        // Reputation and haggling are a better deal for the player whichever way the item goes
+        const sign = buying ? -1 : 1;
+        factors.push(
+            { label: 'Reputation', multiplier: 1 + sign * reputation },
+            { label: 'Haggling', multiplier: 1 + sign * haggle }
+        );
+
+        const base = override ?? this.getBasePrice(item);
+        const multiplier = factors.reduce((total, factor) => total * factor.multiplier, 1);
+        return {
+            base,
+            override: override !== null,
+            factors: factors.filter(factor => factor.multiplier !== 1),
+            unit: this.round(base * multiplier)
+        };
+    }
+
+    /**
+     * Round a price to the nearest hundredth (one copper in gold)
+     * @param {number} value
+     */
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    static #isSet(value) {
+        return value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+    }
+}
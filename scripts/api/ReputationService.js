@@ -0,0 +1,188 @@
+/**
+ * ReputationService - How a merchant, or the faction it belongs to, regards a character or their party
+ * Standing is stored in the character's (or party's) flags, grows with trade volume and maps to price tiers
+ */
+
+import { MODULE_ID } from '../constants.js';
+import { ShopData } from './ShopData.js';
+
+export class ReputationService {
+
+    /**
+     * Default standing tiers
+     * A character is in the highest tier whose min they reach, or the lowest tier below all of them
+     * Positive modifiers are a discount for the character, negative ones a surcharge
+     */
+    static DEFAULT_TIERS = [
+        { name: 'Hostile', min: -100, modifier: -0.2 },
+        { name: 'Unfriendly', min: -25, modifier: -0.1 },
+        { name: 'Neutral', min: 0, modifier: 0 },
+        { name: 'Friendly', min: 50, modifier: 0.05 },
+        { name: 'Honored', min: 200, modifier: 0.1 },
+        { name: 'Exalted', min: 500, modifier: 0.15 }
+    ];
+
+    /** @type {{raw: string, tiers: Object[]}|null} Parsed tiers setting */
+    static #tiers = null;
+
+    /**
+     * The configured standing tiers, lowest first
+     * @returns {{name: string, min: number, modifier: number}[]}
+     */
+    static getTiers() {
+        const raw = game.settings.get(MODULE_ID, 'reputationTiers');
+        if (this.#tiers?.raw === raw) return this.#tiers.tiers;
+
+        let tiers;
+        try {
+            tiers = JSON.parse(raw).map(tier => {
+                if (!tier.name || !Number.isFinite(Number(tier.min))) throw new Error(`Invalid tier: ${JSON.stringify(tier)}`);
+                return { name: String(tier.name), min: Number(tier.min), modifier: Number(tier.modifier) || 0 };
+            });
+            if (!tiers.length) throw new Error('No tiers defined');
+        } catch (error) {
+            console.error(`${MODULE_ID} | Invalid reputation tiers, using the defaults:`, error);
+            tiers = foundry.utils.deepClone(this.DEFAULT_TIERS);
+        }
+
+        tiers.sort((a, b) => a.min - b.min);
+        this.#tiers = { raw, tiers };
+        return tiers;
+    }
+
+    /**
+     * The actor that holds a character's reputation: the character, or their party
+     * @param {Actor} playerActor
+     * @returns {Actor}
+     */
+    static getHolder(playerActor) {
+        if (game.settings.get(MODULE_ID, 'reputationScope') !== 'party') return playerActor;
+
+        const party = game.actors.find(actor => ['group', 'party'].includes(actor.type)
+            && this.#getMembers(actor).some(member => member?.id === playerActor.id));
+        return party ?? playerActor;
+    }
+
+    /**
+     * Who a merchant's reputation is tracked against: its faction if it has one, otherwise the merchant itself
+     * @param {Actor} shopActor
+     * @returns {{key: string, name: string}}
+     */
+    static getTarget(shopActor) {
+        const faction = ShopData.getSettings(shopActor).faction?.trim();
+        if (faction) return { key: `factions.${faction.slugify({ strict: true })}`, name: faction };
+        return { key: `merchants.${shopActor.id}`, name: shopActor.name };
+    }
+
+    /**
+     * Reputation points a character or their party has with a merchant or its faction
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @returns {number}
+     */
+    static getPoints(shopActor, playerActor) {
+        const { key } = this.getTarget(shopActor);
+        return Number(this.getHolder(playerActor).getFlag(MODULE_ID, `reputation.${key}`)) || 0;
+    }
+
+    /**
+     * The tier some points fall in
+     * @param {number} points
+     * @returns {{name: string, min: number, modifier: number, index: number}}
+     */
+    static getTier(points) {
+        const tiers = this.getTiers();
+        const index = Math.max(0, tiers.findLastIndex(tier => points >= tier.min));
+        return { ...tiers[index], index };
+    }
+
+    /**
+     * A character's standing with a merchant, for display
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @returns {{target: string, holder: string, points: number, tier: Object, next: Object|null}}
+     */
+    static getStanding(shopActor, playerActor) {
+        const points = this.getPoints(shopActor, playerActor);
+        const tier = this.getTier(points);
+        return {
+            target: this.getTarget(shopActor).name,
+            holder: this.getHolder(playerActor).name,
+            points,
+            tier,
+            next: this.getTiers()[tier.index + 1] ?? null
+        };
+    }
+
+    /**
+     * The price modifier a character's standing earns with a merchant
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @returns {number} Positive for a discount, negative for a surcharge
+     */
+    static getModifier(shopActor, playerActor) {
+        if (!shopActor || !playerActor) return 0;
+        return this.getTier(this.getPoints(shopActor, playerActor)).modifier;
+    }
+
+    /**
+     * Whether a character has reached a tier with a merchant
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @param {string} tierName
+     */
+    static meetsTier(shopActor, playerActor, tierName) {
+        const required = this.getTiers().findIndex(tier => tier.name === tierName);
+        if (required < 0) return false;
+        return this.getTier(this.getPoints(shopActor, playerActor)).index >= required;
+    }
+
+    /**
+     * Set a character's reputation points with a merchant or its faction
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @param {number} points
+     */
+    static async setPoints(shopActor, playerActor, points) {
+        const { key } = this.getTarget(shopActor);
+        return this.getHolder(playerActor).setFlag(MODULE_ID, `reputation.${key}`, Math.round(Number(points) * 100) / 100 || 0);
+    }
+
+    /**
+     * Change a character's reputation points with a merchant or its faction
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @param {number} delta
+     */
+    static async adjust(shopActor, playerActor, delta) {
+        return this.setPoints(shopActor, playerActor, this.getPoints(shopActor, playerActor) + Number(delta));
+    }
+
+    /**
+     * Grow a character's reputation with the value of the items in a completed trade
+     * Failures are logged rather than thrown: the trade has already happened
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @param {Object} entry - The trade's ledger entry
+     */
+    static async recordTrade(shopActor, playerActor, entry) {
+        const rate = Number(game.settings.get(MODULE_ID, 'reputationRate')) || 0;
+        const volume = [...entry.playerItems, ...entry.shopItems].reduce((total, { value }) => total + (value ?? 0), 0);
+        if (!rate || !volume) return;
+
+        try {
+            await this.adjust(shopActor, playerActor, volume * rate);
+        } catch (error) {
+            console.error(`${MODULE_ID} | Failed to update ${playerActor.name}'s reputation:`, error);
+        }
+    }
+
+    /**
+     * Members of a party actor
+     * pf2e parties list their members directly; dnd5e groups keep { actor } entries
+     */
+    static #getMembers(party) {
+        if (Array.isArray(party.members)) return party.members;
+        return (party.system?.members ?? []).map(member => member?.actor ?? member);
+    }
+}
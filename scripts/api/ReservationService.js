@@ -0,0 +1,190 @@
+/**
+ * ReservationService - Stock held by items sitting in open trade windows
+ * The active GM keeps the reservations and broadcasts each merchant's table with SYNC_SHOP,
+ * which also re-renders every open window on that merchant
+ */
+
+import { RESERVATION_RESEND_HOOK, SOCKET_ACTIONS } from '../constants.js';
+import { ShopData } from './ShopData.js';
+import { ShopSocket } from './ShopSocket.js';
+
+export class ReservationService {
+
+    /** @type {Map<string, Object<string, {userId: string, actorUuid: string, items: Object<string, number>}>>} Reservations by merchant uuid, then holder */
+    static #reservations = new Map();
+
+    /** @type {string|null} The active GM keeping the reservations */
+    static #gmId = null;
+
+    /**
+     * Register socket handlers
+     */
+    static initialize() {
+        ShopSocket.registerRequest(SOCKET_ACTIONS.RESERVE_REQUEST, (data, userId) => this.#reserve(data, userId), {
+            replyAction: SOCKET_ACTIONS.RESERVE_REPLY
+        });
+        // Only the active GM keeps reservations, so only its tables count
+        ShopSocket.register(SOCKET_ACTIONS.SYNC_SHOP, (data, { senderId }) => {
+            if (senderId === game.users.activeGM?.id) this.#onSync(data);
+        });
+        ShopSocket.register(SOCKET_ACTIONS.RESERVE_RESEND, (data, { senderId }) => {
+            if (senderId === game.users.activeGM?.id) this.#resend();
+        });
+
+        Hooks.once('ready', () => this.#onGMChange());
+
+        // Windows of users who leave are gone, and so is what they held
+        Hooks.on('userConnected', (user, connected) => {
+            if (user.isGM) this.#onGMChange();
+            if (!connected && game.user === game.users.activeGM) this.#releaseUser(user.id);
+        });
+    }
+
+    /**
+     * The key a shopper's reservations are kept under
+     * @param {string} userId
+     * @param {Actor} playerActor
+     */
+    static holderKey(userId, playerActor) {
+        return `${userId}.${playerActor.uuid}`;
+    }
+
+    /**
+     * Replace what a shopper holds at a merchant; an empty list releases everything
+     * Rejects with a user-facing message if other shoppers already hold the stock
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @param {Object<string, number>} items - Quantities by merchant item id
+     */
+    static async reserve(shopActor, playerActor, items = {}) {
+        return ShopSocket.requestGM(SOCKET_ACTIONS.RESERVE_REQUEST, {
+            shopActorUuid: shopActor.uuid,
+            playerActorUuid: playerActor.uuid,
+            items
+        });
+    }
+
+    /**
+     * How many of a merchant's item other shoppers hold
+     * @param {Item} item - A merchant's item
+     * @param {string} [exceptHolder] - A holder key to leave out, usually the asking shopper
+     * @returns {number}
+     */
+    static getReserved(item, exceptHolder = null) {
+        const table = this.#reservations.get(item.parent?.uuid) ?? {};
+        return Object.entries(table).reduce((total, [key, { items }]) =>
+            key === exceptHolder ? total : total + (items[item.id] ?? 0), 0);
+    }
+
+    /**
+     * How many of a merchant's item a shopper can still put in a trade
+     * @param {Item} item - A merchant's item
+     * @param {string} [holder] - The shopper's holder key
+     * @returns {number} Infinity for unlimited stock
+     */
+    static getAvailable(item, holder = null) {
+        return Math.max(0, ShopData.getAvailable(item) - this.getReserved(item, holder));
+    }
+
+    /**
+     * Drop a shopper's reservations at a merchant once their trade has gone through, and refresh every window (GM only)
+     * @param {Actor} shopActor
+     * @param {string} [holder] - The holder key to release
+     */
+    static release(shopActor, holder = null) {
+        const table = this.#reservations.get(shopActor.uuid);
+        if (table && holder) delete table[holder];
+        this.#broadcast(shopActor.uuid);
+    }
+
+    // =====================
+    // GM handlers
+    // =====================
+
+    static async #reserve({ shopActorUuid, playerActorUuid, items = {} }, userId) {
+        const shopActor = await fromUuid(shopActorUuid);
+        const playerActor = await fromUuid(playerActorUuid);
+        if (!(shopActor instanceof Actor) || !(playerActor instanceof Actor)) {
+            throw new Error('One of the trading actors no longer exists.');
+        }
+
+        const holder = this.holderKey(userId, playerActor);
+        const held = {};
+        for (const [itemId, quantity] of Object.entries(items)) {
+            const item = shopActor.items.get(itemId);
+            if (!item) throw new Error(`An item offered by ${shopActor.name} no longer exists.`);
+
+            const wanted = Math.max(0, Math.floor(Number(quantity) || 0));
+            if (!wanted) continue;
+            const available = this.getAvailable(item, holder);
+            if (wanted > available) {
+                throw new Error(available
+                    ? `Only ${available} ${item.name} left: other shoppers hold the rest.`
+                    : `Another shopper holds the last ${item.name}.`);
+            }
+            held[itemId] = wanted;
+        }
+
+        const table = this.#reservations.get(shopActorUuid) ?? {};
+        if (Object.keys(held).length) table[holder] = { userId, actorUuid: playerActorUuid, items: held };
+        else delete table[holder];
+        this.#reservations.set(shopActorUuid, table);
+
+        this.#broadcast(shopActorUuid);
+        return { reservations: table };
+    }
+
+    static #releaseUser(userId) {
+        for (const [shopActorUuid, table] of this.#reservations) {
+            const held = Object.keys(table).filter(key => table[key].userId === userId);
+            if (!held.length) continue;
+            for (const key of held) delete table[key];
+            this.#broadcast(shopActorUuid);
+        }
+    }
+
+    /**
+     * Rebuild the reservations when this client becomes the active GM
+     * The last GM's tables were lost with it, or may have changed since, so every open trade sends its holds again
+     */
+    static #onGMChange() {
+        const gmId = game.users.activeGM?.id ?? null;
+        if (gmId === this.#gmId) return;
+        this.#gmId = gmId;
+
+        if (game.user !== game.users.activeGM) return;
+        ShopSocket.emit(SOCKET_ACTIONS.RESERVE_RESEND);
+        this.#resend();
+    }
+
+    // =====================
+    // Sync
+    // =====================
+
+    /**
+     * Forget every reservation and have this client's open trades hold their stock again
+     */
+    static #resend() {
+        this.#reservations.clear();
+        Hooks.callAll(RESERVATION_RESEND_HOOK);
+    }
+
+    /**
+     * Send a merchant's reservations to every client
+     */
+    static #broadcast(shopActorUuid) {
+        const data = { shopActorUuid, reservations: this.#reservations.get(shopActorUuid) ?? {} };
+        ShopSocket.emit(SOCKET_ACTIONS.SYNC_SHOP, data);
+        this.#onSync(data);
+    }
+
+    /**
+     * Store a merchant's reservations and re-render the windows open on it
+     */
+    static #onSync({ shopActorUuid, reservations = {} }) {
+        this.#reservations.set(shopActorUuid, reservations);
+        for (const app of foundry.applications.instances.values()) {
+            if (app.shopActor?.uuid === shopActorUuid && app.rendered) app.render();
+        }
+    }
+}
@@ -0,0 +1,172 @@
+/**
+ * RestockService - Scheduled refills of a merchant's stock
+ * Runs on the active GM as world time advances: items refill to their targets,
+ * surplus bought from players decays, the purse can reset to a baseline and
+ * the stock generator can add fresh random stock
+ */
+
+import { MODULE_ID } from '../constants.js';
+import { CurrencyRegistry } from './CurrencyRegistry.js';
+import { ShopData } from './ShopData.js';
+import { StockGenerator } from './StockGenerator.js';
+import { TradeTransaction } from './TradeTransaction.js';
+
+export class RestockService {
+
+    /** Restock intervals offered in the shop editor */
+    static INTERVALS = {
+        never: 'Never',
+        daily: 'Daily',
+        weekly: 'Weekly',
+        hours: 'Every N hours'
+    };
+
+    /**
+     * Watch world time for due restocks
+     */
+    static initialize() {
+        Hooks.on('updateWorldTime', (worldTime) => this.#onUpdateWorldTime(worldTime));
+    }
+
+    /**
+     * Seconds between a merchant's restocks
+     * @param {Actor} actor
+     * @returns {number} 0 if the merchant does not restock
+     */
+    static getPeriod(actor) {
+        const { interval, hours } = ShopData.getSettings(actor).restock;
+        const day = this.#secondsPerDay();
+        switch (interval) {
+            case 'daily': return day;
+            case 'weekly': return day * 7;
+            case 'hours': return Math.max(0, Number(hours) || 0) * 3600;
+            default: return 0;
+        }
+    }
+
+    /**
+     * World time of a merchant's next restock
+     * @param {Actor} actor
+     * @returns {number|null} null if the merchant does not restock or has not started its schedule
+     */
+    static getNextRestock(actor) {
+        const period = this.getPeriod(actor);
+        const last = actor.getFlag(MODULE_ID, 'lastRestock');
+        if (!period || last === undefined || last === null) return null;
+        return last + period;
+    }
+
+    /**
+     * Restock a merchant if its schedule is due
+     * A merchant's first check only starts the schedule
+     * @param {Actor} actor
+     * @param {number} [worldTime]
+     * @returns {Promise<boolean>} Whether a restock ran
+     */
+    static async checkSchedule(actor, worldTime = game.time.worldTime) {
+        const period = this.getPeriod(actor);
+        if (!period) return false;
+
+        // Start the schedule, or restart it if time was rewound
+        const last = actor.getFlag(MODULE_ID, 'lastRestock');
+        if (last === undefined || last === null || last > worldTime) {
+            await actor.setFlag(MODULE_ID, 'lastRestock', worldTime);
+            return false;
+        }
+
+        const periods = Math.floor((worldTime - last) / period);
+        if (periods < 1) return false;
+
+        await this.restock(actor, { periods, time: last + periods * period });
+        return true;
+    }
+
+    /**
+     * Refill a merchant's stock now
+     * @param {Actor} actor
+     * @param {Object} [options]
+     * @param {number} [options.periods=1] - Restock periods that have passed, surplus decays once for each
+     * @param {number} [options.time] - World time recorded as the last restock
+     */
+    static async restock(actor, { periods = 1, time = game.time.worldTime } = {}) {
+        const { resetPurse, purse, decay } = ShopData.getSettings(actor).restock;
+        const transaction = new TradeTransaction();
+
+        for (const item of actor.items) {
+            if (ShopData.isUnlimited(item)) continue;
+            const quantity = item.system.quantity ?? 1;
+            const target = ShopData.getRestockTarget(item);
+
+            if (target !== null) {
+                // Regular stock refills to its target, anything above it decays back down
+                const refilled = quantity < target ? target : target + this.#decay(quantity - target, decay, periods);
+                if (refilled !== quantity) transaction.updateItem(item, { 'system.quantity': refilled });
+            } else if (ShopData.isSurplus(item)) {
+                const left = this.#decay(quantity, decay, periods);
+                if (left <= 0) transaction.deleteItem(item);
+                else if (left !== quantity) transaction.updateItem(item, { 'system.quantity': left });
+            }
+        }
+
+        if (resetPurse) {
+            CurrencyRegistry.stagePurse(transaction, actor, CurrencyRegistry.normalizePurse(purse));
+        }
+
+        // Fresh random stock, if the merchant's generator runs on restock
+        const rules = StockGenerator.getRules(actor);
+        if (rules.onRestock && StockGenerator.hasSources(rules)) {
+            await StockGenerator.stage(transaction, actor, rules);
+        }
+
+        transaction.updateActor(actor, { [`flags.${MODULE_ID}.lastRestock`]: time });
+        await transaction.commit();
+    }
+
+    /**
+     * Check every merchant when world time advances (active GM only)
+     */
+    static async #onUpdateWorldTime(worldTime) {
+        if (game.user !== game.users.activeGM) return;
+
+        for (const actor of this.#getMerchants()) {
+            try {
+                await this.checkSchedule(actor, worldTime);
+            } catch (error) {
+                console.error(`${MODULE_ID} | Failed to restock ${actor.name}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Every merchant that keeps a schedule: world actors, and unlinked tokens on the active and viewed scenes
+     * Unlinked merchants on other scenes catch up on their missed restocks once their scene is active again
+     * @returns {Actor[]}
+     */
+    static #getMerchants() {
+        const scenes = new Set([game.scenes.active, canvas?.scene].filter(Boolean));
+        const tokenActors = Array.from(scenes).flatMap(scene => scene.tokens
+            .filter(token => !token.actorLink && token.actor)
+            .map(token => token.actor));
+        return [...game.actors, ...tokenActors].filter(actor => ShopData.isShop(actor));
+    }
+
+    /**
+     * Surplus left after decaying for some periods
+     * @param {number} surplus
+     * @param {number} rate - Fraction removed each period
+     * @param {number} periods
+     */
+    static #decay(surplus, rate, periods) {
+        const kept = Math.min(1, Math.max(0, 1 - (Number(rate) || 0)));
+        return Math.floor(surplus * kept ** periods);
+    }
+
+    /**
+     * Length of a day in the world calendar
+     */
+    static #secondsPerDay() {
+        const days = game.time.calendar?.days;
+        if (!days?.hoursPerDay) return 86400;
+        return days.hoursPerDay * days.minutesPerHour * days.secondsPerMinute;
+    }
+}
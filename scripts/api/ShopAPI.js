@@ -4,9 +4,33 @@
  */
 
 import { ShopApplication } from '../apps/ShopApplication.js';
-import { MODULE_ID } from '../constants.js';
+import { ShopEditor } from '../apps/ShopEditor.js';
+import { LedgerApplication } from '../apps/LedgerApplication.js';
+import { ApprovalQueueApplication } from '../apps/ApprovalQueueApplication.js';
+import { ApprovalService } from './ApprovalService.js';
+import { BuybackService } from './BuybackService.js';
+import { CurrencyRegistry } from './CurrencyRegistry.js';
+import { HaggleService } from './HaggleService.js';
+import { LedgerService } from './LedgerService.js';
+import { MerchantTransfer } from './MerchantTransfer.js';
+import { PlayerTradeService } from './PlayerTradeService.js';
+import { PresetService } from './PresetService.js';
+import { PricingService } from './PricingService.js';
+import { ReputationService } from './ReputationService.js';
+import { RestockService } from './RestockService.js';
+import { ShopData } from './ShopData.js';
+import { StackingService } from './StackingService.js';
+import { StockGenerator } from './StockGenerator.js';
+import { TradeService } from './TradeService.js';
+import { TradeTransaction } from './TradeTransaction.js';
 
 export class ShopAPI {
+
+    /** Currency systems: register your own with ShopAPI.currencies.register({...}) */
+    static currencies = CurrencyRegistry;
+
+    /** Item stacking: add checks with ShopAPI.stacking.register(id, (a, b) => boolean) */
+    static stacking = StackingService;
     
     /** @type {Map<string, ShopApplication>} Active shop windows */
     static #activeShops = new Map();
@@ -106,6 +130,24 @@ export class ShopAPI {
         });
     }
 
+    /**
+     * Offer a trade to another player's character
+     * The other player is asked to accept; the trade window opens for both once they do
+     *
+     * @param {Object} options
+     * @param {Actor} options.playerActor - The character making the offer
+     * @param {Actor} options.partnerActor - The other player's character
+     * @returns {Promise<string|null>} The session id, or null if the trade could not be opened
+     */
+    static async openPlayerTrade({ playerActor, partnerActor }) {
+        try {
+            return await PlayerTradeService.open(playerActor, partnerActor);
+        } catch (error) {
+            ui.notifications.warn(error.message);
+            return null;
+        }
+    }
+
     /**
      * Close all active shop windows
      */
@@ -135,95 +177,409 @@ export class ShopAPI {
     }
 
     /**
-     * Create a shop inventory for an actor
+     * Open the queue of trades waiting for the GM's approval (GM only)
+     * @returns {Promise<ApprovalQueueApplication>}
      */
-    static async setupShop(actor, { gold = 1000, items = [] } = {}) {
+    static async openApprovals() {
+        if (!game.user.isGM) {
+            ui.notifications.warn('Only the GM can review trades.');
+            return null;
+        }
+        return ApprovalQueueApplication.open();
+    }
+
+    /**
+     * Trades waiting for the GM's approval, oldest first
+     * @returns {Object[]}
+     */
+    static getPendingTrades() {
+        return ApprovalService.getQueue();
+    }
+
+    /**
+     * Open the shop editor for a merchant (GM only)
+     *
+     * @param {Actor|string} actor - The NPC actor or actor ID
+     * @returns {Promise<ShopEditor>}
+     */
+    static async openEditor(actor) {
+        if (typeof actor === 'string') {
+            actor = game.actors.get(actor) ?? game.actors.getName(actor);
+        }
+
         if (!actor) {
-            throw new Error('Actor is required');
+            ui.notifications.error('Shop actor not found');
+            return null;
         }
 
-        const currencyPath = game.settings.get(MODULE_ID, 'defaultCurrency');
+        if (!game.user.isGM) {
+            ui.notifications.warn('Only the GM can edit shops.');
+            return null;
+        }
 
-        await actor.update({ [currencyPath]: gold });
+        const existing = foundry.applications.instances.get(ShopEditor.idFor(actor));
+        if (existing) {
+            existing.bringToFront();
+            return existing;
+        }
 
-        if (items.length > 0) {
-            const itemData = items.map(item => {
-                if (item instanceof Item) {
-                    return item.toObject();
-                }
-                return item;
-            });
-            await actor.createEmbeddedDocuments('Item', itemData);
+        const editor = new ShopEditor({ actor });
+        await editor.render(true);
+        return editor;
+    }
+
+    /**
+     * Open the trade ledger of a merchant or character
+     *
+     * @param {Actor|string} actor - The actor or actor ID
+     * @returns {Promise<LedgerApplication>}
+     */
+    static async openLedger(actor) {
+        if (typeof actor === 'string') {
+            actor = game.actors.get(actor) ?? game.actors.getName(actor);
         }
 
-        ui.notifications.info(`${actor.name} has been set up as a shop with ${gold} gold.`);
-        return actor;
+        if (!actor) {
+            ui.notifications.error('Actor not found');
+            return null;
+        }
+
+        if (!actor.isOwner) {
+            ui.notifications.warn(`You cannot view ${actor.name}'s ledger.`);
+            return null;
+        }
+
+        return LedgerApplication.open(actor);
     }
 
     /**
-     * Quick buy - purchase an item directly without opening the full interface
+     * Get the recorded trades of a merchant or character, newest first
+     *
+     * @param {Actor} actor
+     * @returns {Object[]}
      */
-    static async quickBuy({ shopActor, playerActor, item, quantity = 1 }) {
-        const currencyPath = game.settings.get(MODULE_ID, 'defaultCurrency');
-        const pricePath = game.settings.get(MODULE_ID, 'itemPricePath');
+    static getLedger(actor) {
+        return LedgerService.getEntries(actor);
+    }
 
-        if (typeof item === 'string') {
-            item = shopActor.items.get(item);
+    /**
+     * Items a character sold to a merchant and can still buy back, newest first
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @returns {Object[]}
+     */
+    static getBuyback(shopActor, playerActor) {
+        return BuybackService.getEntries(shopActor, playerActor);
+    }
+
+    /**
+     * Buy back an item a character sold to a merchant, at the price paid plus the buyback fee
+     *
+     * @param {Object} options
+     * @param {Actor} options.shopActor - The merchant
+     * @param {Actor} options.playerActor - The character who sold the item
+     * @param {string} options.entryId - The buyback entry
+     * @returns {Promise<boolean>} Whether the buyback went through or is waiting for approval
+     */
+    static async buyBack({ shopActor, playerActor, entryId }) {
+        try {
+            const { name, quantity, price, pending } = await BuybackService.buyBack(shopActor, playerActor, entryId);
+            if (pending) ui.notifications.info(`Buying back ${name} is waiting for the GM's approval.`);
+            else ui.notifications.info(`Bought back ${quantity}x ${name} for ${CurrencyRegistry.format(price)}.`);
+            return true;
+        } catch (error) {
+            ui.notifications.warn(error.message);
+            return false;
         }
+    }
 
-        if (!item) {
-            ui.notifications.error('Item not found');
+    /**
+     * A character's standing with a merchant, or with the faction the merchant belongs to
+     * @param {Actor} shopActor
+     * @param {Actor} playerActor
+     * @returns {Object} { target, holder, points, tier, next }
+     */
+    static getReputation(shopActor, playerActor) {
+        return ReputationService.getStanding(shopActor, playerActor);
+    }
+
+    /**
+     * Change a character's reputation with a merchant or its faction (GM only)
+     *
+     * @param {Object} options
+     * @param {Actor} options.shopActor - The merchant
+     * @param {Actor} options.playerActor - The character, or a member of the party that holds the reputation
+     * @param {number} [options.delta] - Points to add or remove
+     * @param {number} [options.points] - Points to set, instead of a delta
+     * @returns {Promise<boolean>}
+     */
+    static async adjustReputation({ shopActor, playerActor, delta = 0, points = null }) {
+        if (!game.user.isGM) {
+            ui.notifications.warn('Only the GM can change reputation.');
             return false;
         }
 
-        const price = (foundry.utils.getProperty(item, pricePath) ?? 0) * quantity;
-        const playerGold = foundry.utils.getProperty(playerActor, currencyPath) ?? 0;
-        const shopGold = foundry.utils.getProperty(shopActor, currencyPath) ?? 0;
+        if (points !== null) await ReputationService.setPoints(shopActor, playerActor, points);
+        else await ReputationService.adjust(shopActor, playerActor, delta);
+        return true;
+    }
+
+    /**
+     * Export a merchant's settings, stock and purse as a versioned definition
+     * Stock refers to compendium items where it can, with embedded data for everything else
+     *
+     * @param {Actor} actor - The merchant
+     * @param {Object} [options]
+     * @param {boolean} [options.embed=false] - Embed every item's data, so the file works without the compendiums
+     * @param {boolean} [options.download=false] - Also save the definition as a JSON file
+     * @returns {Object} The definition
+     */
+    static exportMerchant(actor, { embed = false, download = false } = {}) {
+        return download
+            ? MerchantTransfer.download(actor, { embed })
+            : MerchantTransfer.exportMerchant(actor, { embed });
+    }
+
+    /**
+     * Apply a merchant definition to an NPC, making it a merchant (GM only)
+     * Items and references that cannot be resolved are skipped and reported
+     *
+     * @param {Actor} actor - The NPC
+     * @param {Object|string} definition - A definition from exportMerchant, or its JSON
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=true] - Remove the NPC's current stock first
+     * @returns {Promise<{created: number, unresolved: string[]}|null>}
+     */
+    static async importMerchant(actor, definition, { replace = true } = {}) {
+        if (!game.user.isGM) {
+            ui.notifications.warn('Only the GM can import merchants.');
+            return null;
+        }
+
+        try {
+            if (typeof definition === 'string') definition = MerchantTransfer.parse(definition);
+            const result = await MerchantTransfer.importMerchant(actor, definition, { replace });
+            ui.notifications.info(`Imported ${result.created} item(s) into ${actor.name}.`);
+            if (result.unresolved.length) {
+                ui.notifications.warn(`${result.unresolved.length} part(s) of the merchant could not be resolved. See console for details.`);
+                console.warn(`ironic-shop | Unresolved while importing ${actor.name}:`, result.unresolved);
+            }
+            return result;
+        } catch (error) {
+            console.error('Merchant import error:', error);
+            ui.notifications.error(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Whether two items are identical and would share one stack when traded
+     * @param {Item|Object} a - An item or its source data
+     * @param {Item|Object} b - An item or its source data
+     * @returns {boolean}
+     */
+    static canStack(a, b) {
+        return StackingService.canStack(a, b);
+    }
+
+    /**
+     * Roll a haggle check for a character against a merchant
+     * A success lowers the prices of the character's next trade, a failure raises them
+     *
+     * @param {Object} options
+     * @param {Actor} options.shopActor - The merchant
+     * @param {Actor} options.playerActor - The haggling character
+     * @param {string} options.skill - Skill key, e.g. per or dec
+     * @returns {Promise<Object|null>} The recorded attempt, or null if cancelled or refused
+     */
+    static async haggle({ shopActor, playerActor, skill }) {
+        try {
+            return await HaggleService.haggle(shopActor, playerActor, skill);
+        } catch (error) {
+            ui.notifications.warn(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Restock a merchant now, regardless of its schedule (GM only)
+     * Items refill to their targets, surplus decays once and the purse resets if configured
+     *
+     * @param {Actor|string} actor - The merchant or actor ID
+     * @returns {Promise<boolean>}
+     */
+    static async restock(actor) {
+        if (typeof actor === 'string') {
+            actor = game.actors.get(actor) ?? game.actors.getName(actor);
+        }
 
-        if (playerGold < price) {
-            ui.notifications.warn(`Not enough gold. Need ${price}, have ${playerGold}.`);
+        if (!actor) {
+            ui.notifications.error('Shop actor not found');
             return false;
         }
 
-        const itemQty = item.system.quantity ?? 1;
-        if (itemQty < quantity) {
-            ui.notifications.warn(`Not enough in stock. Need ${quantity}, have ${itemQty}.`);
+        if (!game.user.isGM) {
+            ui.notifications.warn('Only the GM can restock shops.');
             return false;
         }
 
         try {
-            await playerActor.update({ [currencyPath]: playerGold - price });
-            await shopActor.update({ [currencyPath]: shopGold + price });
+            await RestockService.restock(actor);
+            ui.notifications.info(`${actor.name} has been restocked.`);
+            return true;
+        } catch (error) {
+            console.error('Restock error:', error);
+            ui.notifications.error('Restock failed. See console for details.');
+            return false;
+        }
+    }
 
-            const itemData = item.toObject();
-            itemData.system.quantity = quantity;
-            await playerActor.createEmbeddedDocuments('Item', [itemData]);
+    /**
+     * Roll random stock for a merchant (GM only)
+     *
+     * @param {Actor|string} actor - The merchant or actor ID
+     * @param {Object} [rules] - Generator rules, defaults to the merchant's own
+     * @returns {Promise<Object[]|null>} Data of the generated items
+     */
+    static async generateStock(actor, rules = undefined) {
+        if (typeof actor === 'string') {
+            actor = game.actors.get(actor) ?? game.actors.getName(actor);
+        }
 
-            if (itemQty <= quantity) {
-                await item.delete();
-            } else {
-                await item.update({ 'system.quantity': itemQty - quantity });
-            }
+        if (!actor) {
+            ui.notifications.error('Shop actor not found');
+            return null;
+        }
 
-            ui.notifications.info(`Purchased ${quantity}x ${item.name} for ${price} gold.`);
-            return true;
+        if (!game.user.isGM) {
+            ui.notifications.warn('Only the GM can generate stock.');
+            return null;
+        }
 
+        try {
+            const generated = await StockGenerator.generate(actor, rules);
+            ui.notifications.info(`Generated ${generated.length} item(s) for ${actor.name}.`);
+            return generated;
         } catch (error) {
-            console.error('Quick buy error:', error);
-            ui.notifications.error('Purchase failed. See console for details.');
+            console.error('Stock generation error:', error);
+            ui.notifications.error(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Merchant presets, built-in and saved, keyed by id
+     * @returns {Object<string, {id: string, name: string, description: string, custom: boolean}>}
+     */
+    static getPresets() {
+        return PresetService.getPresets();
+    }
+
+    /**
+     * Save a merchant's settings, stock and purse as a preset (GM only)
+     * @param {Actor} actor
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {string} [options.description]
+     * @returns {Promise<string|null>} The preset's id
+     */
+    static async savePreset(actor, name, { description = '' } = {}) {
+        if (!game.user.isGM) {
+            ui.notifications.warn('Only the GM can save merchant presets.');
+            return null;
+        }
+
+        try {
+            const id = await PresetService.save(actor, name, { description });
+            ui.notifications.info(`Saved ${actor.name} as the preset "${name}".`);
+            return id;
+        } catch (error) {
+            console.error('Preset save error:', error);
+            ui.notifications.error(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a saved merchant preset (GM only)
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    static async deletePreset(id) {
+        if (!game.user.isGM) {
+            ui.notifications.warn('Only the GM can delete merchant presets.');
+            return false;
+        }
+
+        try {
+            await PresetService.delete(id);
+            return true;
+        } catch (error) {
+            ui.notifications.error(error.message);
             return false;
         }
     }
 
     /**
-     * Quick sell - sell an item directly without opening the full interface
+     * Create a shop inventory for an actor
+     * Pass a preset id (see getPresets) to apply an archetype's pricing, buy rules, purse and stock first;
+     * gold, items and generator then adjust it.
+     * Pass generator rules to also roll random stock and keep the rules for the shop editor and restocks,
+     * e.g. { packs: ['dnd5e.items'], rarities: ['rare'], rolls: '2d4' }
      */
-    static async quickSell({ shopActor, playerActor, item, quantity = 1, sellRatio = 0.5 }) {
-        const currencyPath = game.settings.get(MODULE_ID, 'defaultCurrency');
-        const pricePath = game.settings.get(MODULE_ID, 'itemPricePath');
+    static async setupShop(actor, { preset = null, gold = null, items = [], generator = null } = {}) {
+        if (!actor) {
+            throw new Error('Actor is required');
+        }
+
+        let applied = null;
+        if (preset) {
+            applied = await PresetService.apply(actor, preset);
+            if (applied.unresolved.length) {
+                ui.notifications.warn(`${applied.unresolved.length} part(s) of the ${applied.name} preset could not be resolved. See console for details.`);
+                console.warn(`ironic-shop | Unresolved while applying ${applied.name} to ${actor.name}:`, applied.unresolved);
+            }
+        }
+
+        // The starting purse is given in the currency system's standard denomination
+        const standard = CurrencyRegistry.getStandard();
+        if (gold !== null || !applied) {
+            gold ??= 1000;
+            const transaction = new TradeTransaction();
+            CurrencyRegistry.stagePurse(transaction, actor, { ...CurrencyRegistry.getPurse(actor), [standard.key]: gold });
+            await transaction.commit();
+        }
+
+        if (items.length > 0) {
+            const itemData = items.map(item => {
+                if (item instanceof Item) {
+                    return item.toObject();
+                }
+                return item;
+            });
+            await actor.createEmbeddedDocuments('Item', itemData);
+        }
 
+        if (generator) {
+            await ShopData.setSettings(actor, { generator });
+            await StockGenerator.generate(actor);
+        }
+
+        const purse = CurrencyRegistry.getPurse(actor)[standard.key] ?? 0;
+        ui.notifications.info(applied
+            ? `${actor.name} has been set up as a ${applied.name} with ${purse} ${standard.abbr}.`
+            : `${actor.name} has been set up as a shop with ${purse} ${standard.abbr}.`);
+        return actor;
+    }
+
+    /**
+     * Quick buy - purchase an item directly without opening the full interface
+     * The purchase goes to the GM like any trade: it is checked, may wait for approval, and is paid with change
+     * @returns {Promise<boolean>} Whether the purchase went through or is waiting for approval
+     */
+    static async quickBuy({ shopActor, playerActor, item, quantity = 1 }) {
         if (typeof item === 'string') {
-            item = playerActor.items.get(item);
+            item = shopActor.items.get(item);
         }
 
         if (!item) {
@@ -231,42 +587,76 @@ export class ShopAPI {
             return false;
         }
 
-        const basePrice = foundry.utils.getProperty(item, pricePath) ?? 0;
-        const sellPrice = Math.floor(basePrice * sellRatio) * quantity;
-        const playerGold = foundry.utils.getProperty(playerActor, currencyPath) ?? 0;
-        const shopGold = foundry.utils.getProperty(shopActor, currencyPath) ?? 0;
+        const price = PricingService.getBuyPrice(item, shopActor, playerActor, quantity);
+        return this.#quickTrade({
+            shopActor,
+            playerActor,
+            playerItems: [],
+            shopItems: [{ item, quantity }],
+            playerCurrency: CurrencyRegistry.emptyPurse(),
+            shopCurrency: CurrencyRegistry.emptyPurse(),
+            settle: true
+        }, `Purchased ${quantity}x ${item.name} for ${CurrencyRegistry.format(price)}.`);
+    }
 
-        if (shopGold < sellPrice) {
-            ui.notifications.warn(`Shop doesn't have enough gold. Need ${sellPrice}, shop has ${shopGold}.`);
-            return false;
+    /**
+     * Quick sell - sell an item directly without opening the full interface
+     * The merchant's sell-back ratio applies unless sellRatio is given; the GM still refuses a price above what the merchant would pay
+     * @returns {Promise<boolean>} Whether the sale went through or is waiting for approval
+     */
+    static async quickSell({ shopActor, playerActor, item, quantity = 1, sellRatio = null }) {
+        if (typeof item === 'string') {
+            item = playerActor.items.get(item);
         }
 
-        const itemQty = item.system.quantity ?? 1;
-        if (itemQty < quantity) {
-            ui.notifications.warn(`Not enough items. Need ${quantity}, have ${itemQty}.`);
+        if (!item) {
+            ui.notifications.error('Item not found');
             return false;
         }
 
-        try {
-            await playerActor.update({ [currencyPath]: playerGold + sellPrice });
-            await shopActor.update({ [currencyPath]: shopGold - sellPrice });
-
-            const itemData = item.toObject();
-            itemData.system.quantity = quantity;
-            await shopActor.createEmbeddedDocuments('Item', [itemData]);
-
-            if (itemQty <= quantity) {
-                await item.delete();
-            } else {
-                await item.update({ 'system.quantity': itemQty - quantity });
+        const trade = {
+            shopActor,
+            playerActor,
+            playerItems: [{ item, quantity }],
+            shopItems: [],
+            playerCurrency: CurrencyRegistry.emptyPurse(),
+            shopCurrency: CurrencyRegistry.emptyPurse(),
+            settle: sellRatio === null
+        };
+
+        let sellPrice = PricingService.getSellPrice(item, shopActor, playerActor, quantity);
+        if (sellRatio !== null) {
+            sellPrice = PricingService.round(PricingService.round(PricingService.getBasePrice(item) * sellRatio) * quantity);
+
+            // The merchant pays in whatever coins it has, with change from the player
+            const payment = CurrencyRegistry.planPayment(CurrencyRegistry.getPurse(shopActor), CurrencyRegistry.getPurse(playerActor),
+                CurrencyRegistry.toBaseAmount(sellPrice, false));
+            if (!payment) {
+                ui.notifications.warn(`Shop cannot pay ${CurrencyRegistry.format(sellPrice)}: not enough coins, or no exact change.`);
+                return false;
             }
+            trade.shopCurrency = payment.paid;
+            trade.playerCurrency = payment.change;
+        }
 
-            ui.notifications.info(`Sold ${quantity}x ${item.name} for ${sellPrice} gold.`);
-            return true;
+        return this.#quickTrade(trade, `Sold ${quantity}x ${item.name} for ${CurrencyRegistry.format(sellPrice)}.`);
+    }
 
+    /**
+     * Send a quick trade to the GM and report the outcome
+     * @param {Object} trade - A trade in the shape serializeTrade takes
+     * @param {string} done - Message for a trade that went through
+     * @returns {Promise<boolean>}
+     */
+    static async #quickTrade(trade, done) {
+        try {
+            const result = await TradeService.requestTrade(TradeService.serializeTrade(trade));
+            if (result?.pending) ui.notifications.info(`Your trade with ${trade.shopActor.name} is waiting for the GM's approval.`);
+            else ui.notifications.info(done);
+            return true;
         } catch (error) {
-            console.error('Quick sell error:', error);
-            ui.notifications.error('Sale failed. See console for details.');
+            console.error('Quick trade error:', error);
+            ui.notifications.warn(error.message);
             return false;
         }
     }
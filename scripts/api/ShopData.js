@@ -0,0 +1,189 @@
+/**
+ * ShopData - Read and write a merchant's configuration
+ * Everything is stored in the actor's ironic-shop flags
+ */
+
+import { MODULE_ID } from '../constants.js';
+import { ReputationService } from './ReputationService.js';
+
+export class ShopData {
+
+    /** Shop-wide settings and their defaults */
+    static DEFAULT_SETTINGS = {
+        shopName: '',
+        greeting: '',
+        faction: '',
+        economy: '',
+        approval: '',
+        buysItems: true,
+        priceContents: true,
+        buyMarkup: null,
+        sellRatio: null,
+        haggleEnabled: true,
+        haggleDC: 15,
+        haggleSkills: ['per', 'dec'],
+        buyRules: {
+            types: [],
+            subtypes: [],
+            rarities: [],
+            tags: [],
+            maxPrice: null
+        },
+        restock: {
+            interval: 'never',
+            hours: 24,
+            resetPurse: false,
+            purse: {},
+            decay: 0
+        },
+        generator: {
+            tables: [],
+            packs: [],
+            types: [],
+            subtypes: [],
+            rarities: [],
+            minPrice: null,
+            maxPrice: null,
+            rolls: '1d4',
+            minQuantity: 1,
+            maxQuantity: 1,
+            replace: false,
+            onRestock: false
+        }
+    };
+
+    /** Per-item stock settings and their defaults */
+    static DEFAULT_STOCK = {
+        price: null,
+        visible: true,
+        target: null,
+        unlimited: false,
+        max: null,
+        unlockTier: ''
+    };
+
+    /**
+     * Whether an actor is set up as a merchant
+     * @param {Actor} actor
+     */
+    static isShop(actor) {
+        return !!actor?.getFlag(MODULE_ID, 'isShop');
+    }
+
+    /**
+     * Shop-wide settings merged over the defaults
+     * @param {Actor} actor
+     * @returns {Object}
+     */
+    static getSettings(actor) {
+        const stored = actor.getFlag(MODULE_ID, 'settings') ?? {};
+        return foundry.utils.mergeObject(foundry.utils.deepClone(this.DEFAULT_SETTINGS), stored, { inplace: false });
+    }
+
+    /**
+     * Update some shop-wide settings
+     * @param {Actor} actor
+     * @param {Object} changes
+     */
+    static async setSettings(actor, changes) {
+        return actor.update({ [`flags.${MODULE_ID}.settings`]: changes });
+    }
+
+    /**
+     * Stock settings for one of the merchant's items, merged over the defaults
+     * @param {Actor} actor
+     * @param {string} itemId
+     * @returns {Object}
+     */
+    static getStockEntry(actor, itemId) {
+        const stored = actor.getFlag(MODULE_ID, `stock.${itemId}`) ?? {};
+        return foundry.utils.mergeObject(foundry.utils.deepClone(this.DEFAULT_STOCK), stored, { inplace: false });
+    }
+
+    /**
+     * Update the stock settings for one of the merchant's items
+     * @param {Actor} actor
+     * @param {string} itemId
+     * @param {Object} changes
+     */
+    static async setStockEntry(actor, itemId, changes) {
+        return actor.update({ [`flags.${MODULE_ID}.stock.${itemId}`]: changes });
+    }
+
+    /**
+     * Forget the stock settings of an item
+     * @param {Actor} actor
+     * @param {string} itemId
+     */
+    static async removeStockEntry(actor, itemId) {
+        return actor.update({ [`flags.${MODULE_ID}.stock.-=${itemId}`]: null });
+    }
+
+    /**
+     * Whether players can see an item in the merchant's inventory
+     * Hidden items can be unlocked for characters who reach a reputation tier
+     * @param {Item} item - An item owned by a merchant
+     * @param {Actor} [playerActor] - The character looking, for reputation unlocks
+     */
+    static isVisible(item, playerActor = null) {
+        const entry = this.getStockEntry(item.parent, item.id);
+        if (entry.visible !== false) return true;
+        return !!(playerActor && entry.unlockTier && ReputationService.meetsTier(item.parent, playerActor, entry.unlockTier));
+    }
+
+    /**
+     * The quantity restocking refills a merchant's item to, or null if it is not restocked
+     * @param {Item} item - An item owned by a merchant
+     * @returns {number|null}
+     */
+    static getRestockTarget(item) {
+        const target = this.getStockEntry(item.parent, item.id).target;
+        return (target === null || target === undefined || target === '') ? null : Number(target);
+    }
+
+    /**
+     * Whether a merchant never runs out of an item
+     * @param {Item} item
+     */
+    static isUnlimited(item) {
+        return this.isShop(item.parent) && !!this.getStockEntry(item.parent, item.id).unlimited;
+    }
+
+    /**
+     * How many of an item can be handed over: its quantity, or Infinity for unlimited stock
+     * @param {Item} item
+     * @returns {number}
+     */
+    static getAvailable(item) {
+        return this.isUnlimited(item) ? Infinity : (item.system.quantity ?? 1);
+    }
+
+    /**
+     * The most of an item a merchant will hold, or null if there is no cap
+     * @param {Item} item - An item owned by a merchant
+     * @returns {number|null}
+     */
+    static getStockCap(item) {
+        const max = this.getStockEntry(item.parent, item.id).max;
+        return (max === null || max === undefined || max === '') ? null : Number(max);
+    }
+
+    /**
+     * Whether a merchant's item came from players and is not part of its regular stock
+     * @param {Item} item
+     */
+    static isSurplus(item) {
+        return !!item.getFlag(MODULE_ID, 'surplus') && this.getRestockTarget(item) === null;
+    }
+
+    /**
+     * The price override for a merchant's item, in gold, or null to use its list price
+     * @param {Item} item - An item owned by a merchant
+     * @returns {number|null}
+     */
+    static getPriceOverride(item) {
+        if (!this.isShop(item.parent)) return null;
+        const price = this.getStockEntry(item.parent, item.id).price;
+        return (price === null || price === undefined || price === '') ? null : Number(price);
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * ShopSocket - Thin wrapper around the module socket
+ * Routes actions to registered handlers and matches replies to pending requests
+ */
+
+import { SOCKET_NAME } from '../constants.js';
+
+export class ShopSocket {
+
+    /** @type {Map<string, Function>} Handlers keyed by socket action */
+    static #handlers = new Map();
+
+    /** @type {Map<string, Function>} GM-side request handlers keyed by socket action */
+    static #gmHandlers = new Map();
+
+    /** @type {Map<string, {resolve: Function, reject: Function, timeout: number}>} Requests awaiting a reply */
+    static #pending = new Map();
+
+    /** How long to wait for a GM reply before giving up (ms) */
+    static REQUEST_TIMEOUT = 30000;
+
+    /**
+     * Start listening on the module socket
+     */
+    static initialize() {
+        // The server passes the sending user's id; it is the only sender id that can be trusted
+        game.socket.on(SOCKET_NAME, (message, userId) => this.#onMessage(message, userId));
+    }
+
+    /**
+     * Register a handler for an action
+     * @param {string} action - One of SOCKET_ACTIONS
+     * @param {Function} handler - Called with (data, message); message.senderId is the id the server reported
+     */
+    static register(action, handler) {
+        this.#handlers.set(action, handler);
+    }
+
+    /**
+     * Register a request that the active GM handles on behalf of players
+     * The handler's return value is sent back to the requesting client; a thrown error rejects the request
+     * @param {string} action - The request action
+     * @param {Function} handler - Called with (data, userId), may be async
+     * @param {Object} options
+     * @param {string} options.replyAction - Action used to reply on success
+     * @param {string} [options.errorAction] - Action used to reply on failure (defaults to replyAction)
+     */
+    static registerRequest(action, handler, { replyAction, errorAction = replyAction }) {
+        this.#gmHandlers.set(action, handler);
+        this.register(action, async (data, message) => {
+            if (game.user !== game.users.activeGM) return;
+
+            try {
+                const result = await handler(data, message.senderId);
+                this.reply(replyAction, data.requestId, { result });
+            } catch (error) {
+                this.reply(errorAction, data.requestId, { error: error.message });
+            }
+        });
+    }
+
+    /**
+     * Run a registered request as the GM
+     * The active GM runs the handler directly; everyone else sends it to the active GM and waits for the reply
+     * @param {string} action - An action registered with registerRequest
+     * @param {Object} data
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - How long to wait for the GM (ms), defaults to REQUEST_TIMEOUT
+     * @returns {Promise<*>} The handler's result
+     */
+    static async requestGM(action, data = {}, { timeout } = {}) {
+        const handler = this.#gmHandlers.get(action);
+        if (!handler) throw new Error(`No handler registered for "${action}"`);
+
+        if (game.user === game.users.activeGM) {
+            return handler(data, game.user.id);
+        }
+
+        if (!game.users.activeGM) {
+            throw new Error('No GM is online to process this request.');
+        }
+
+        const reply = await this.request(action, data, { timeout });
+        return reply.result;
+    }
+
+    /**
+     * Broadcast an action to all other clients
+     * @param {string} action
+     * @param {Object} data
+     */
+    static emit(action, data = {}) {
+        game.socket.emit(SOCKET_NAME, { action, data });
+    }
+
+    /**
+     * Send a request and wait for a reply carrying the same requestId
+     * @param {string} action
+     * @param {Object} data
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - How long to wait for the reply (ms), defaults to REQUEST_TIMEOUT
+     * @returns {Promise<Object>} Resolves with the reply data, rejects on cancellation or timeout
+     */
+    static request(action, data = {}, { timeout = this.REQUEST_TIMEOUT } = {}) {
+        const requestId = foundry.utils.randomID();
+
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.#pending.delete(requestId);
+                reject(new Error('The GM did not respond in time.'));
+            }, timeout);
+
+            this.#pending.set(requestId, { resolve, reject, timeout });
+            this.emit(action, { ...data, requestId });
+        });
+    }
+
+    /**
+     * Reply to a request, resolving it on the requesting client
+     * @param {string} action
+     * @param {string} requestId
+     * @param {Object} data
+     */
+    static reply(action, requestId, data = {}) {
+        this.emit(action, { ...data, requestId });
+    }
+
+    /**
+     * Settle a pending request from a reply
+     * @returns {boolean} Whether the reply belonged to this client
+     */
+    static #settle(requestId, error, data) {
+        const pending = this.#pending.get(requestId);
+        if (!pending) return false;
+
+        clearTimeout(pending.timeout);
+        this.#pending.delete(requestId);
+
+        if (error) pending.reject(new Error(error));
+        else pending.resolve(data);
+        return true;
+    }
+
+    /**
+     * Dispatch an incoming socket message
+     */
+    static async #onMessage(message, userId) {
+        if (!userId) return;
+        const { action, data = {} } = message ?? {};
+
+        // Replies to our own requests settle the pending promise; only a GM can send them
+        if (data.requestId && this.#pending.has(data.requestId)) {
+            if (game.users.get(userId)?.isGM) this.#settle(data.requestId, data.error, data);
+            return;
+        }
+
+        const handler = this.#handlers.get(action);
+        if (!handler) return;
+
+        try {
+            await handler(data, { action, data, senderId: userId });
+        } catch (error) {
+            console.error(`ironic-shop | Socket handler for "${action}" failed:`, error);
+        }
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * StackingService - Whether two items are the same thing and can share one stack
+ * Items stack only when every registered check agrees; other modules add checks with ShopAPI.stacking.register
+ */
+
+import { MODULE_ID } from '../constants.js';
+
+export class StackingService {
+
+    /**
+     * Fields that may differ between items of one stack
+     * Extend these lists to ignore more, e.g. StackingService.IGNORED.system.push('prepared')
+     */
+    static IGNORED = {
+        system: ['quantity', 'container', 'equipped', 'attuned'],
+        flags: ['core.sourceId', `${MODULE_ID}.surplus`, `${MODULE_ID}.generated`]
+    };
+
+    /** @type {Map<string, Function>} Checks by id, each (a, b) => boolean on item source data */
+    static #checks = new Map([
+        ['identity', (a, b) => a.type === b.type && a.name === b.name],
+        ['source', (a, b) => StackingService.getSource(a) === StackingService.getSource(b)],
+        // Covers uses and charges, identification, descriptions and magical bonuses
+        ['system', (a, b) => StackingService.#equal(a.system, b.system, StackingService.IGNORED.system)],
+        ['flags', (a, b) => StackingService.#equal(a.flags, b.flags, StackingService.IGNORED.flags)]
+    ]);
+
+    /**
+     * Add or replace a stacking check
+     * @param {string} id
+     * @param {Function} check - (a, b) => boolean, given the source data of both items; false keeps them apart
+     */
+    static register(id, check) {
+        if (typeof check !== 'function') throw new Error(`Stacking check ${id} must be a function.`);
+        this.#checks.set(id, check);
+    }
+
+    /**
+     * Remove a stacking check, built-in ones included
+     * @param {string} id
+     */
+    static unregister(id) {
+        this.#checks.delete(id);
+    }
+
+    /**
+     * Ids of the registered checks
+     * @returns {string[]}
+     */
+    static getChecks() {
+        return Array.from(this.#checks.keys());
+    }
+
+    /**
+     * Whether two items can share one stack
+     * @param {Item|Object} a - An item or its source data
+     * @param {Item|Object} b - An item or its source data
+     * @returns {boolean}
+     */
+    static canStack(a, b) {
+        const sourceA = a._source ?? a;
+        const sourceB = b._source ?? b;
+        for (const [id, check] of this.#checks) {
+            try {
+                if (!check(sourceA, sourceB)) return false;
+            } catch (error) {
+                console.error(`${MODULE_ID} | Stacking check ${id} failed, keeping the items apart:`, error);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * The compendium entry an item came from, if any
+     * @param {Item|Object} item - An item or its source data
+     * @returns {string|null}
+     */
+    static getSource(item) {
+        const source = item._source ?? item;
+        return source._stats?.compendiumSource ?? source.flags?.core?.sourceId ?? null;
+    }
+
+    /**
+     * Deep equality, leaving out some paths
+     */
+    static #equal(a, b, ignored) {
+        return foundry.utils.objectsEqual(this.#without(a, ignored), this.#without(b, ignored));
+    }
+
+    static #without(object, paths) {
+        const copy = foundry.utils.deepClone(object ?? {});
+        for (const path of paths) {
+            const parts = path.split('.');
+            const key = parts.pop();
+            const parent = parts.length ? foundry.utils.getProperty(copy, parts.join('.')) : copy;
+            if (parent && typeof parent === 'object') delete parent[key];
+        }
+        return this.#prune(copy);
+    }
+
+    /**
+     * Drop empty objects, so a flag scope emptied by the ignored paths matches a missing one
+     */
+    static #prune(object) {
+        for (const [key, value] of Object.entries(object)) {
+            if (foundry.utils.getType(value) !== 'Object') continue;
+            this.#prune(value);
+            if (foundry.utils.isEmpty(value)) delete object[key];
+        }
+        return object;
+    }
+}
@@ -0,0 +1,217 @@
+/**
+ * StockGenerator - Random merchant stock from RollTables and compendium packs
+ * Used by the shop editor, the restock schedule and ShopAPI.setupShop
+ */
+
+import { MODULE_ID, TRADEABLE_TYPES } from '../constants.js';
+import { BuyRules } from './BuyRules.js';
+import { CurrencyRegistry } from './CurrencyRegistry.js';
+import { PricingService } from './PricingService.js';
+import { ShopData } from './ShopData.js';
+import { StackingService } from './StackingService.js';
+import { TradeTransaction } from './TradeTransaction.js';
+
+/** How deep RollTables may point at other RollTables */
+const MAX_TABLE_DEPTH = 5;
+
+export class StockGenerator {
+
+    /**
+     * A merchant's generator rules merged over the defaults
+     * @param {Actor} actor
+     * @returns {Object}
+     */
+    static getRules(actor) {
+        return this.#mergeRules(ShopData.getSettings(actor).generator);
+    }
+
+    /**
+     * Whether rules have anything to draw from
+     * @param {Object} rules
+     */
+    static hasSources(rules) {
+        return !!(rules?.tables?.length || rules?.packs?.length);
+    }
+
+    /**
+     * Generate stock and add it to a merchant
+     * @param {Actor} actor
+     * @param {Object} [rules] - Generator rules, defaults to the merchant's own
+     * @returns {Promise<Object[]>} Data of the generated items
+     */
+    static async generate(actor, rules = this.getRules(actor)) {
+        const transaction = new TradeTransaction();
+        const generated = await this.stage(transaction, actor, rules);
+        await transaction.commit();
+        return generated;
+    }
+
+    /**
+     * Roll stock and stage adding it to a merchant
+     * Items the merchant already holds are stacked; with rules.replace, earlier generated stock is removed first
+     * @param {TradeTransaction} transaction
+     * @param {Actor} actor
+     * @param {Object} rules - Generator rules
+     * @returns {Promise<Object[]>} Data of the generated items
+     */
+    static async stage(transaction, actor, rules) {
+        rules = this.#mergeRules(rules);
+        const drawn = await this.roll(rules);
+
+        const replaced = new Set();
+        if (rules.replace) {
+            for (const item of actor.items) {
+                if (!item.getFlag(MODULE_ID, 'generated')) continue;
+                transaction.deleteItem(item);
+                replaced.add(item.id);
+            }
+        }
+
+        const pending = transaction.getPendingCreates(actor);
+        for (const data of drawn) {
+            const matches = candidate => StackingService.canStack(candidate, data);
+
+            const pendingStack = pending.find(matches);
+            const existing = pendingStack ? null : actor.items.find(item => !replaced.has(item.id) && matches(item));
+
+            if (pendingStack) {
+                pendingStack.system.quantity += data.system.quantity;
+            } else if (existing) {
+                const quantity = transaction.getItemValue(existing, 'system.quantity') ?? 1;
+                transaction.updateItem(existing, { 'system.quantity': quantity + data.system.quantity });
+            } else {
+                transaction.createItems(actor, [data]);
+            }
+        }
+
+        return drawn;
+    }
+
+    /**
+     * Roll items from the rules' sources without adding them anywhere
+     * Each roll draws from one source chosen at random
+     * @param {Object} rules - Generator rules
+     * @returns {Promise<Object[]>} Item data with random quantities
+     */
+    static async roll(rules) {
+        rules = this.#mergeRules(rules);
+        const sources = [
+            ...rules.tables.map(uuid => ({ table: uuid })),
+            ...rules.packs.map(pack => ({ pack }))
+        ];
+        if (!sources.length) throw new Error('The stock generator has no RollTables or compendiums to draw from.');
+
+        const count = await this.#evaluateRolls(rules.rolls);
+        const candidates = new Map();
+        const drawn = [];
+
+        for (let i = 0; i < count; i++) {
+            const source = sources[Math.floor(Math.random() * sources.length)];
+            const item = source.table
+                ? await this.#drawFromTable(source.table, rules)
+                : await this.#drawFromPack(source.pack, rules, candidates);
+            if (!item) continue;
+
+            const data = item.pack ? game.items.fromCompendium(item) : item.toObject();
+            delete data._id;
+            data.system ??= {};
+            data.system.quantity = this.#randomQuantity(rules);
+            foundry.utils.setProperty(data, `flags.${MODULE_ID}.generated`, true);
+            drawn.push(data);
+        }
+
+        return drawn;
+    }
+
+    /**
+     * Whether an item passes the type, subtype, rarity and price filters
+     * Works with documents and compendium index entries alike
+     * @param {Item|Object} item
+     * @param {Object} rules
+     */
+    static matches(item, rules) {
+        const types = rules.types.length ? rules.types : TRADEABLE_TYPES;
+        if (!types.includes(item.type)) return false;
+
+        if (rules.subtypes?.length && !rules.subtypes.includes(BuyRules.getSubtype(item))) return false;
+
+        if (rules.rarities.length && !rules.rarities.includes(BuyRules.getRarity(item))) return false;
+
+        const price = PricingService.getBasePrice(item);
+        if (rules.minPrice !== null && price < rules.minPrice) return false;
+        if (rules.maxPrice !== null && price > rules.maxPrice) return false;
+        return true;
+    }
+
+    /**
+     * Draw one matching item from a RollTable, following nested tables
+     * Results that are not matching items are skipped
+     */
+    static async #drawFromTable(uuid, rules, depth = 0) {
+        const table = await fromUuid(uuid);
+        if (!(table instanceof RollTable)) {
+            console.warn(`${MODULE_ID} | Stock generator RollTable not found: ${uuid}`);
+            return null;
+        }
+
+        const { results } = await table.roll();
+        for (const result of results) {
+            const documentUuid = result.documentUuid;
+            if (!documentUuid) continue;
+
+            const document = await fromUuid(documentUuid);
+            if (document instanceof RollTable && depth < MAX_TABLE_DEPTH) {
+                const nested = await this.#drawFromTable(document.uuid, rules, depth + 1);
+                if (nested) return nested;
+            } else if (document instanceof Item && this.matches(document, rules)) {
+                return document;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Draw one matching item from a compendium pack
+     * The filtered index is cached for the rest of the roll
+     */
+    static async #drawFromPack(collection, rules, candidates) {
+        if (!candidates.has(collection)) {
+            const pack = game.packs.get(collection);
+            if (pack?.documentName !== 'Item') {
+                console.warn(`${MODULE_ID} | Stock generator compendium not found: ${collection}`);
+                candidates.set(collection, []);
+            } else {
+                const fields = ['type', 'system.type.value', 'system.category', 'system.rarity', 'system.traits.rarity', game.settings.get(MODULE_ID, 'itemPricePath')];
+                const denominationPath = CurrencyRegistry.active.priceDenominationPath;
+                if (denominationPath) fields.push(denominationPath);
+
+                const index = await pack.getIndex({ fields });
+                candidates.set(collection, index.filter(entry => this.matches(entry, rules)).map(entry => entry.uuid));
+            }
+        }
+
+        const uuids = candidates.get(collection);
+        if (!uuids.length) return null;
+        return fromUuid(uuids[Math.floor(Math.random() * uuids.length)]);
+    }
+
+    /**
+     * How many items to draw: a number or a dice formula
+     */
+    static async #evaluateRolls(rolls) {
+        if (Number.isFinite(Number(rolls))) return Math.max(0, Math.floor(Number(rolls)));
+        const roll = await new Roll(String(rolls)).evaluate();
+        return Math.max(0, Math.floor(roll.total));
+    }
+
+    static #randomQuantity({ minQuantity, maxQuantity }) {
+        const min = Math.max(1, Math.floor(Number(minQuantity) || 1));
+        const max = Math.max(min, Math.floor(Number(maxQuantity) || min));
+        return min + Math.floor(Math.random() * (max - min + 1));
+    }
+
+    static #mergeRules(rules = {}) {
+        const defaults = foundry.utils.deepClone(ShopData.DEFAULT_SETTINGS.generator);
+        return foundry.utils.mergeObject(defaults, rules ?? {}, { inplace: false });
+    }
+}
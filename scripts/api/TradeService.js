@@ -0,0 +1,477 @@
+/**
+ * TradeService - Validates and executes trades
+ * Players send trade requests over the socket; the active GM applies them
+ */
+
+import { MODULE_ID, SOCKET_ACTIONS } from '../constants.js';
+import { ApprovalService } from './ApprovalService.js';
+import { BuybackService } from './BuybackService.js';
+import { BuyRules } from './BuyRules.js';
+import { ContainerService } from './ContainerService.js';
+import { CurrencyRegistry } from './CurrencyRegistry.js';
+import { DraftService } from './DraftService.js';
+import { HaggleService } from './HaggleService.js';
+import { LedgerService } from './LedgerService.js';
+import { PricingService } from './PricingService.js';
+import { ReputationService } from './ReputationService.js';
+import { ReservationService } from './ReservationService.js';
+import { ShopData } from './ShopData.js';
+import { ShopSocket } from './ShopSocket.js';
+import { StackingService } from './StackingService.js';
+import { TradeTransaction } from './TradeTransaction.js';
+
+export class TradeService {
+
+    /**
+     * Register socket handlers
+     */
+    static initialize() {
+        ShopSocket.registerRequest(SOCKET_ACTIONS.TRADE_REQUEST, (data, userId) => this.processTrade(data.trade, userId), {
+            replyAction: SOCKET_ACTIONS.TRADE_COMPLETE,
+            errorAction: SOCKET_ACTIONS.TRADE_CANCELLED
+        });
+    }
+
+    // =====================
+    // Trade evaluation
+    // =====================
+
+    /**
+     * Calculate the trade balance (positive = player advantage)
+     * @param {Object} trade - A resolved trade (see resolveTrade)
+     */
+    static calculateBalance(trade) {
+        // Calculate player's offer value (currency + items)
+        let playerOfferValue = CurrencyRegistry.purseValue(trade.playerCurrency);
+        for (const { item, quantity } of trade.playerItems) {
+            playerOfferValue += PricingService.getSellPrice(item, trade.shopActor, trade.playerActor, quantity);
+        }
+
+        // Calculate shop's offer value (currency + items)
+        let shopOfferValue = CurrencyRegistry.purseValue(trade.shopCurrency);
+        for (const { item, quantity } of trade.shopItems) {
+            shopOfferValue += PricingService.getBuyPrice(item, trade.shopActor, trade.playerActor, quantity);
+        }
+
+        // Positive = player getting more value than giving
+        return shopOfferValue - playerOfferValue;
+    }
+
+    /**
+     * Work out the coins that settle a trade's item balance
+     * Whichever side receives more value pays the difference, and the other side gives change from its own coins
+     * @param {Object} trade - A resolved trade (see resolveTrade)
+     * @returns {{playerCurrency: Object, shopCurrency: Object}|null} null if the balance cannot be paid exactly
+     */
+    static planSettlement(trade) {
+        const empty = CurrencyRegistry.emptyPurse();
+        const owed = this.calculateBalance({ ...trade, playerCurrency: empty, shopCurrency: empty });
+
+        // Round to whole coins in the shop's favour
+        const playerPays = owed > 0;
+        const amount = CurrencyRegistry.toBaseAmount(Math.abs(owed), playerPays);
+
+        const plan = playerPays
+            ? this.planPayment(trade.playerActor, trade.shopActor, amount)
+            : this.planPayment(trade.shopActor, trade.playerActor, amount);
+        if (!plan) return null;
+
+        return playerPays
+            ? { playerCurrency: plan.paid, shopCurrency: plan.change }
+            : { playerCurrency: plan.change, shopCurrency: plan.paid };
+    }
+
+    /**
+     * Work out the coins one actor pays another, with change from the receiver
+     * @param {Actor} payer
+     * @param {Actor} receiver
+     * @param {number} amount - Value in the system's smallest unit
+     * @returns {{paid: Object, change: Object}|null} null if the amount cannot be paid exactly
+     */
+    static planPayment(payer, receiver, amount) {
+        const plan = CurrencyRegistry.planPayment(CurrencyRegistry.getPurse(payer), CurrencyRegistry.getPurse(receiver), amount);
+        if (plan || !game.settings.get(MODULE_ID, 'allowNegativeGold')) return plan;
+
+        // Purses may go negative, so the payer can owe the amount in its smallest coin
+        const empty = CurrencyRegistry.emptyPurse();
+        const smallest = CurrencyRegistry.getDenominations().at(-1);
+        return { paid: { ...empty, [smallest.key]: Math.ceil(amount / smallest.value) }, change: empty };
+    }
+
+    /**
+     * Check whether a trade may go through
+     * @param {Object} trade - A resolved trade (see resolveTrade)
+     * @param {User} [user] - The user asking for the trade
+     * @returns {string|null} A reason the trade is refused, or null if it is acceptable
+     */
+    static checkTrade(trade, user = game.user) {
+        // Settled trades ignore the offered coins and pay the balance from both purses
+        if (trade.settle) {
+            const settlement = this.planSettlement(trade);
+            if (!settlement) return 'The balance cannot be paid: not enough coins, or no exact change.';
+            trade = { ...trade, ...settlement };
+        }
+
+        // Must have something to trade
+        const hasPlayerOffer = trade.playerItems.length > 0 || CurrencyRegistry.toBase(trade.playerCurrency) > 0;
+        const hasShopOffer = trade.shopItems.length > 0 || CurrencyRegistry.toBase(trade.shopCurrency) > 0;
+
+        if (!hasPlayerOffer && !hasShopOffer) return 'Nothing has been offered.';
+
+        // The merchant only buys what its rules allow
+        for (const { item } of trade.playerItems) {
+            const refused = BuyRules.check(item, trade.shopActor);
+            if (refused) return refused;
+        }
+        if (!user?.isGM) {
+            const hidden = trade.shopItems.find(({ item }) => !ShopData.isVisible(item, trade.playerActor));
+            if (hidden) return `${hidden.item.name} is not for sale.`;
+        }
+
+        // Neither side can hand over more of an item than it holds, so each item may be offered once
+        const offered = new Set();
+        for (const { item } of [...trade.playerItems, ...trade.shopItems]) {
+            if (offered.has(item)) return `${item.name} is offered more than once.`;
+            offered.add(item);
+        }
+        for (const { item, quantity } of [...trade.playerItems, ...trade.shopItems]) {
+            if (!Number.isInteger(quantity) || quantity < 1) return `Invalid quantity for ${item.name}.`;
+            if (quantity > ShopData.getAvailable(item)) return `Not enough ${item.name} in stock.`;
+        }
+
+        const container = ContainerService.check(trade.playerItems) ?? ContainerService.check(trade.shopItems);
+        if (container) return container;
+
+        // Stock sitting in other shoppers' trades is not for sale
+        const holder = user ? ReservationService.holderKey(user.id, trade.playerActor) : null;
+        for (const { item, quantity } of trade.shopItems) {
+            if (quantity > ReservationService.getAvailable(item, holder)) return `Other shoppers hold some of the ${item.name}.`;
+        }
+
+        const overCap = this.checkCapacity(trade.shopActor, trade.playerItems);
+        if (overCap) return overCap;
+
+        // Check currency constraints - neither side can offer more than they have
+        const allowNegative = game.settings.get(MODULE_ID, 'allowNegativeGold');
+        if (!allowNegative) {
+            const playerPurse = CurrencyRegistry.getPurse(trade.playerActor);
+            const shopPurse = CurrencyRegistry.getPurse(trade.shopActor);
+            for (const { key, label } of CurrencyRegistry.getDenominations()) {
+                if ((trade.playerCurrency[key] ?? 0) > playerPurse[key]) return `${trade.playerActor.name} does not have enough ${label.toLowerCase()}.`;
+                if ((trade.shopCurrency[key] ?? 0) > shopPurse[key]) return `${trade.shopActor.name} does not have enough ${label.toLowerCase()}.`;
+            }
+        }
+
+        // Trade balance must be <= 0 (player can't get more value than they give)
+        if (this.calculateBalance(trade) > 0) return 'The trade is not balanced in the shop\'s favour.';
+
+        return null;
+    }
+
+    /**
+     * Check that a merchant has room for the items it is buying
+     * An item's cap covers everything the merchant holds of it, whether or not the incoming items stack onto it
+     * @param {Actor} shopActor
+     * @param {Iterable<{item: Item, quantity: number}>} playerItems
+     * @returns {string|null} A reason the items are refused, or null if they fit
+     */
+    static checkCapacity(shopActor, playerItems) {
+        const held = new Map();
+        for (const { item, quantity } of playerItems) {
+            const matches = shopActor.items.filter(candidate => candidate !== item && this.#isSameGoods(candidate, item));
+            const capped = matches
+                .filter(candidate => !ShopData.isUnlimited(candidate) && ShopData.getStockCap(candidate) !== null)
+                .sort((a, b) => ShopData.getStockCap(a) - ShopData.getStockCap(b))[0];
+            if (!capped) continue;
+
+            const cap = ShopData.getStockCap(capped);
+            const current = held.get(capped.id) ?? matches.reduce((total, match) => total + (match.system.quantity ?? 1), 0);
+            const total = current + quantity;
+            if (total > cap) return `${shopActor.name} cannot hold more than ${cap} ${capped.name}.`;
+            held.set(capped.id, total);
+        }
+        return null;
+    }
+
+    /**
+     * Whether two items are the same goods for stock caps: the same compendium entry, else the same type and name
+     */
+    static #isSameGoods(a, b) {
+        if (a.type !== b.type) return false;
+        const sourceA = StackingService.getSource(a);
+        const sourceB = StackingService.getSource(b);
+        return sourceA && sourceB ? sourceA === sourceB : a.name === b.name;
+    }
+
+    /**
+     * The item an incoming item would stack onto: one StackingService finds identical
+     * @param {Actor} actor - The receiving actor
+     * @param {Item|Object} item - The incoming item or its data
+     * @param {Iterable<Item|Object>} [candidates] - Items to search instead of the actor's own
+     * @returns {Item|Object|null}
+     */
+    static findStack(actor, item, candidates = actor.items) {
+        return Array.from(candidates).find(candidate => candidate !== item && StackingService.canStack(candidate, item)) ?? null;
+    }
+
+    // =====================
+    // Requests
+    // =====================
+
+    /**
+     * Serialize a trade so it can be sent over the socket
+     * @param {Object} trade
+     * @param {Actor} trade.shopActor
+     * @param {Actor} trade.playerActor
+     * @param {Iterable<{item: Item, quantity: number}>} trade.playerItems
+     * @param {Iterable<{item: Item, quantity: number}>} trade.shopItems
+     * @param {Object} trade.playerCurrency
+     * @param {Object} trade.shopCurrency
+     * @param {boolean} [trade.settle] - Pay the balance automatically instead of with the offered coins
+     * @returns {Object}
+     */
+    static serializeTrade({ shopActor, playerActor, playerItems, shopItems, playerCurrency, shopCurrency, settle = false }) {
+        const toRefs = entries => Array.from(entries, ({ item, quantity }) => ({ itemId: item.id, quantity }));
+        return {
+            shopActorUuid: shopActor.uuid,
+            playerActorUuid: playerActor.uuid,
+            playerItems: toRefs(playerItems),
+            shopItems: toRefs(shopItems),
+            playerCurrency: { ...playerCurrency },
+            shopCurrency: { ...shopCurrency },
+            settle: !!settle
+        };
+    }
+
+    /**
+     * Combine item references that name the same item, adding up their quantities
+     * An item listed twice would otherwise pass each quantity check on its own
+     * @param {{itemId: string, quantity: number}[]} refs
+     * @returns {{itemId: string, quantity: number}[]}
+     */
+    static mergeRefs(refs = []) {
+        const merged = new Map();
+        for (const { itemId, quantity } of refs) {
+            merged.set(itemId, (merged.get(itemId) ?? 0) + Number(quantity));
+        }
+        return Array.from(merged, ([itemId, quantity]) => ({ itemId, quantity }));
+    }
+
+    /**
+     * Turn a serialized trade back into actors and items
+     * @param {Object} data - Output of serializeTrade
+     * @returns {Promise<Object>} The resolved trade
+     */
+    static async resolveTrade(data) {
+        const shopActor = await fromUuid(data.shopActorUuid);
+        const playerActor = await fromUuid(data.playerActorUuid);
+        if (!(shopActor instanceof Actor) || !(playerActor instanceof Actor)) {
+            throw new Error('One of the trading actors no longer exists.');
+        }
+
+        const resolveItems = (actor, refs = []) => this.mergeRefs(refs).map(({ itemId, quantity }) => {
+            const item = actor.items.get(itemId);
+            if (!item) throw new Error(`An item offered by ${actor.name} no longer exists.`);
+            return { item, quantity: Number(quantity) };
+        });
+
+        return {
+            shopActor,
+            playerActor,
+            playerItems: resolveItems(playerActor, data.playerItems),
+            shopItems: resolveItems(shopActor, data.shopItems),
+            playerCurrency: CurrencyRegistry.normalizePurse(data.playerCurrency),
+            shopCurrency: CurrencyRegistry.normalizePurse(data.shopCurrency),
+            settle: !!data.settle
+        };
+    }
+
+    /**
+     * Ask the GM to execute a trade
+     * GMs execute directly; players route the request through the active GM
+     * @param {Object} data - Output of serializeTrade
+     * @returns {Promise<{pending: string}|undefined>} Set if the trade waits for the GM's approval;
+     *     rejects with a user-facing message if the trade is refused
+     */
+    static async requestTrade(data) {
+        return ShopSocket.requestGM(SOCKET_ACTIONS.TRADE_REQUEST, { trade: data });
+    }
+
+    /**
+     * Validate a trade on behalf of a user, then execute it or hold it for the GM's approval
+     * @param {Object} data - Output of serializeTrade
+     * @param {string} userId - The requesting user
+     * @returns {Promise<{pending: string}|undefined>} The approval queue entry, if the trade waits for the GM
+     */
+    static async processTrade(data, userId) {
+        const trade = await this.resolveTrade(data);
+        const user = game.users.get(userId);
+
+        if (!user || (!user.isGM && !trade.playerActor.testUserPermission(user, 'OWNER'))) {
+            throw new Error(`${user?.name ?? 'That user'} does not own ${trade.playerActor.name}.`);
+        }
+        if (!trade.shopActor.getFlag(MODULE_ID, 'isShop')) {
+            throw new Error(`${trade.shopActor.name} is not a merchant.`);
+        }
+
+        const problem = this.checkTrade(trade, user);
+        if (problem) throw new Error(problem);
+
+        if (ApprovalService.isRequired(trade.shopActor, user)) {
+            return { pending: await ApprovalService.enqueue(data, trade, user) };
+        }
+
+        await this.completeTrade(trade, user);
+    }
+
+    /**
+     * Execute a checked trade and record it in the ledger, buyback list and reputation
+     * @param {Object} trade - A resolved trade that passed checkTrade
+     * @param {User} user - The user who asked for the trade
+     */
+    static async completeTrade(trade, user) {
+        const settled = trade.settle ? { ...trade, ...this.planSettlement(trade) } : trade;
+        const entry = LedgerService.createEntry(settled, user);
+        const buyback = BuybackService.createEntries(settled);
+
+        try {
+            await this.executeTrade(settled);
+        } catch (error) {
+            console.error('Trade execution error:', error);
+            throw new Error('Failed to complete trade. See the GM\'s console for details.');
+        }
+
+        await LedgerService.record(entry, trade.shopActor, trade.playerActor);
+        await BuybackService.record(trade.shopActor, buyback);
+        await ReputationService.recordTrade(trade.shopActor, trade.playerActor, entry);
+        ReservationService.release(trade.shopActor, ReservationService.holderKey(user.id, trade.playerActor));
+
+        // The character's saved draft is this trade, now done
+        try {
+            await DraftService.clear(trade.shopActor, trade.playerActor);
+        } catch (error) {
+            console.error(`${MODULE_ID} | Failed to clear ${trade.playerActor.name}'s draft trade:`, error);
+        }
+    }
+
+    // =====================
+    // Execution
+    // =====================
+
+    /**
+     * Apply a resolved trade to both actors
+     * All changes are committed as one transaction and rolled back if any step fails
+     * @param {Object} trade - A resolved trade (see resolveTrade)
+     */
+    static async executeTrade({ shopActor, playerActor, playerItems, shopItems, playerCurrency, shopCurrency }) {
+        const transaction = new TradeTransaction();
+
+        // Get current currency values
+        const currentPlayerPurse = CurrencyRegistry.getPurse(playerActor);
+        const currentShopPurse = CurrencyRegistry.getPurse(shopActor);
+
+        // Calculate new currency values
+        const newPlayerPurse = CurrencyRegistry.combinePurses(currentPlayerPurse, shopCurrency, playerCurrency);
+        const newShopPurse = CurrencyRegistry.combinePurses(currentShopPurse, playerCurrency, shopCurrency);
+
+        CurrencyRegistry.stagePurse(transaction, playerActor, newPlayerPurse);
+        CurrencyRegistry.stagePurse(transaction, shopActor, newShopPurse);
+
+        // A haggled price only lasts for one trade
+        HaggleService.stageConsume(transaction, shopActor, playerActor);
+
+        // Transfer items from shop to player
+        for (const { item, quantity } of shopItems) {
+            this.stageTransfer(transaction, item, playerActor, quantity);
+        }
+
+        // Transfer items from player to shop
+        for (const { item, quantity } of playerItems) {
+            this.stageTransfer(transaction, item, shopActor, quantity);
+        }
+
+        await transaction.commit();
+    }
+
+    /**
+     * Stage moving an item from its owner to another actor, stacking if possible
+     * A container moves with everything inside it and never stacks
+     * @param {TradeTransaction} transaction - The transaction to record the changes in
+     * @param {Item} item - The item to transfer
+     * @param {Actor} toActor - The destination actor
+     * @param {number} quantity - The quantity to transfer
+     */
+    static stageTransfer(transaction, item, toActor, quantity) {
+        const contents = ContainerService.getContents(item);
+        if (contents.length) {
+            const data = ContainerService.copyWithContents(item, quantity);
+            data.forEach(itemData => this.#markReceived(itemData, toActor));
+            transaction.createItems(toActor, data);
+
+            // Unlimited stock keeps its container, and so its contents
+            if (!ShopData.isUnlimited(item)) contents.forEach(content => transaction.deleteItem(content));
+            this.stageRemoval(transaction, item, quantity);
+            return;
+        }
+
+        // Find existing stackable item in target actor, including stacks created earlier in this transaction
+        const pendingCreates = transaction.getPendingCreates(toActor);
+        const candidates = toActor.items.filter(i => !transaction.isDeleted(i));
+        const stack = this.findStack(toActor, item, [...pendingCreates, ...candidates]);
+        const pendingStack = pendingCreates.includes(stack) ? stack : null;
+        const existingItem = pendingStack ? null : stack;
+
+        if (pendingStack) {
+            pendingStack.system.quantity = (pendingStack.system.quantity ?? 1) + quantity;
+        } else if (existingItem) {
+            // Stack onto existing item; unlimited stock has no quantity to add to
+            if (!ShopData.isUnlimited(existingItem)) {
+                const existingQty = transaction.getItemValue(existingItem, 'system.quantity') ?? 1;
+                transaction.updateItem(existingItem, { 'system.quantity': existingQty + quantity });
+            }
+        } else {
+            // Create new item
+            const itemData = item.toObject();
+            if ('quantity' in itemData.system) itemData.system.quantity = quantity;
+            // Remove the _id so a new one is generated
+            delete itemData._id;
+            // An item taken out of a container arrives loose
+            if (itemData.system.container) itemData.system.container = null;
+
+            this.#markReceived(itemData, toActor);
+            transaction.createItems(toActor, [itemData]);
+        }
+
+        // Remove or reduce quantity from source
+        this.stageRemoval(transaction, item, quantity);
+    }
+
+    /**
+     * Stage taking some of an item away from its owner
+     * Unlimited stock never runs down; merchant items with a restock target or a cap stay at zero,
+     * so they can be refilled and their cap still applies
+     * @param {TradeTransaction} transaction
+     * @param {Item} item
+     * @param {number} quantity
+     */
+    static stageRemoval(transaction, item, quantity) {
+        if (ShopData.isUnlimited(item)) return;
+        const currentQty = transaction.getItemValue(item, 'system.quantity') ?? 1;
+        const keep = ShopData.getRestockTarget(item) !== null || ShopData.getStockCap(item) !== null;
+        if (currentQty <= quantity && ShopData.isShop(item.parent) && keep) {
+            transaction.updateItem(item, { 'system.quantity': 0 });
+        } else if (currentQty <= quantity) {
+            transaction.deleteItem(item);
+        } else {
+            transaction.updateItem(item, { 'system.quantity': currentQty - quantity });
+        }
+    }
+
+    /**
+     * Items a merchant buys are surplus that restocking lets decay
+     */
+    static #markReceived(itemData, toActor) {
+        if (ShopData.isShop(toActor)) foundry.utils.setProperty(itemData, `flags.${MODULE_ID}.surplus`, true);
+        else delete itemData.flags?.[MODULE_ID]?.surplus;
+    }
+}
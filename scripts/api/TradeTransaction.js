@@ -0,0 +1,211 @@
+/**
+ * TradeTransaction - Batched, reversible document changes
+ * Collects every change a trade needs, applies them with as few document
+ * operations per actor as possible, and undoes the applied ones if a later
+ * step fails
+ */
+
+export class TradeTransaction {
+
+    /** @type {Map<Actor, Object>} Flattened actor updates */
+    #actorUpdates = new Map();
+
+    /** @type {Map<Actor, Map<string, Object>>} Flattened item updates keyed by item id */
+    #itemUpdates = new Map();
+
+    /** @type {Map<Actor, Object[]>} Item data to create */
+    #itemCreates = new Map();
+
+    /** @type {Map<Actor, Set<string>>} Item ids to delete */
+    #itemDeletes = new Map();
+
+    /** @type {Function[]} Undo steps for every operation applied so far */
+    #undo = [];
+
+    /** @type {boolean} */
+    #committed = false;
+
+    /**
+     * Stage an update to an actor
+     * @param {Actor} actor
+     * @param {Object} changes - Update data, flattened or nested
+     */
+    updateActor(actor, changes) {
+        const pending = this.#actorUpdates.get(actor) ?? {};
+        Object.assign(pending, foundry.utils.flattenObject(changes));
+        this.#actorUpdates.set(actor, pending);
+    }
+
+    /**
+     * Stage an update to an embedded item
+     * @param {Item} item
+     * @param {Object} changes - Update data, flattened or nested
+     */
+    updateItem(item, changes) {
+        const byId = this.#itemUpdates.get(item.parent) ?? new Map();
+        const pending = byId.get(item.id) ?? {};
+        Object.assign(pending, foundry.utils.flattenObject(changes));
+        byId.set(item.id, pending);
+        this.#itemUpdates.set(item.parent, byId);
+    }
+
+    /**
+     * Stage the creation of items on an actor
+     * @param {Actor} actor
+     * @param {Object[]} data - Item source data
+     */
+    createItems(actor, data) {
+        const pending = this.#itemCreates.get(actor) ?? [];
+        pending.push(...data);
+        this.#itemCreates.set(actor, pending);
+    }
+
+    /**
+     * Stage the deletion of an embedded item
+     * @param {Item} item
+     */
+    deleteItem(item) {
+        const pending = this.#itemDeletes.get(item.parent) ?? new Set();
+        pending.add(item.id);
+        this.#itemDeletes.set(item.parent, pending);
+    }
+
+    /**
+     * Read a value as it will be once the transaction commits
+     * @param {Item} item
+     * @param {string} path - e.g. system.quantity
+     */
+    getItemValue(item, path) {
+        const pending = this.#itemUpdates.get(item.parent)?.get(item.id);
+        if (pending && path in pending) return pending[path];
+        return foundry.utils.getProperty(item, path);
+    }
+
+    /**
+     * Item data already staged for creation on an actor
+     * Entries can be modified in place until the transaction commits
+     * @param {Actor} actor
+     * @returns {Object[]}
+     */
+    getPendingCreates(actor) {
+        return this.#itemCreates.get(actor) ?? [];
+    }
+
+    /**
+     * Whether an item is staged for deletion
+     * @param {Item} item
+     */
+    isDeleted(item) {
+        return this.#itemDeletes.get(item.parent)?.has(item.id) ?? false;
+    }
+
+    /**
+     * Apply every staged change
+     * If any operation fails, the ones already applied are reversed and the error is rethrown
+     */
+    async commit() {
+        if (this.#committed) throw new Error('TradeTransaction has already been committed');
+        this.#committed = true;
+
+        try {
+            for (const [actor, changes] of this.#actorUpdates) {
+                await this.#applyActorUpdate(actor, changes);
+            }
+            for (const [actor, byId] of this.#itemUpdates) {
+                await this.#applyItemUpdates(actor, byId);
+            }
+            for (const [actor, data] of this.#itemCreates) {
+                await this.#applyItemCreates(actor, data);
+            }
+            for (const [actor, ids] of this.#itemDeletes) {
+                await this.#applyItemDeletes(actor, ids);
+            }
+        } catch (error) {
+            await this.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Reverse every operation applied so far, newest first
+     */
+    async rollback() {
+        while (this.#undo.length) {
+            const undo = this.#undo.pop();
+            try {
+                await undo();
+            } catch (error) {
+                console.error('ironic-shop | Failed to roll back part of a trade:', error);
+            }
+        }
+    }
+
+    async #applyActorUpdate(actor, changes) {
+        const previous = this.#snapshot(actor._source, changes);
+        await actor.update(changes);
+        this.#undo.push(() => actor.update(previous));
+    }
+
+    async #applyItemUpdates(actor, byId) {
+        const updates = [];
+        const previous = [];
+        for (const [id, changes] of byId) {
+            // Skip items that are deleted in the same transaction
+            if (this.#itemDeletes.get(actor)?.has(id)) continue;
+            const item = actor.items.get(id);
+            if (!item) throw new Error(`Item ${id} no longer exists on ${actor.name}`);
+            updates.push({ _id: id, ...changes });
+            previous.push({ _id: id, ...this.#snapshot(item._source, changes) });
+        }
+        if (!updates.length) return;
+
+        await actor.updateEmbeddedDocuments('Item', updates);
+        this.#undo.push(() => actor.updateEmbeddedDocuments('Item', previous));
+    }
+
+    async #applyItemCreates(actor, data) {
+        if (!data.length) return;
+        // Data staged with an _id keeps it, so staged items can refer to each other
+        const created = await actor.createEmbeddedDocuments('Item', data, { keepId: true });
+        const ids = created.map(item => item.id);
+        this.#undo.push(() => actor.deleteEmbeddedDocuments('Item', ids));
+    }
+
+    async #applyItemDeletes(actor, ids) {
+        const existing = Array.from(ids).map(id => actor.items.get(id)).filter(Boolean);
+        if (!existing.length) return;
+
+        const data = existing.map(item => item.toObject());
+        await actor.deleteEmbeddedDocuments('Item', existing.map(item => item.id));
+        this.#undo.push(() => actor.createEmbeddedDocuments('Item', data, { keepId: true }));
+    }
+
+    /**
+     * Capture an update that puts back every key about to change
+     * Deleted keys are restored under their plain name; keys that do not exist yet are deleted again
+     */
+    #snapshot(source, changes) {
+        const previous = {};
+        for (const key of Object.keys(changes)) {
+            const parts = key.split('.');
+            const last = parts.at(-1);
+
+            if (last.startsWith('-=')) {
+                const restored = [...parts.slice(0, -1), last.slice(2)].join('.');
+                const value = foundry.utils.getProperty(source, restored);
+                if (value !== undefined) previous[restored] = foundry.utils.deepClone(value);
+                continue;
+            }
+
+            if (foundry.utils.hasProperty(source, key)) {
+                previous[key] = foundry.utils.deepClone(foundry.utils.getProperty(source, key));
+                continue;
+            }
+
+            // Delete the outermost part of the path the update creates
+            const missing = parts.findIndex((part, index) => !foundry.utils.hasProperty(source, parts.slice(0, index + 1).join('.')));
+            previous[[...parts.slice(0, missing), `-=${parts[missing]}`].join('.')] = null;
+        }
+        return previous;
+    }
+}
@@ -0,0 +1,239 @@
+/**
+ * ApprovalQueueApplication - GM window for trades waiting for approval
+ * Each trade can be approved, rejected with a message, or changed first; buybacks can only be approved or rejected
+ */
+
+import { TEMPLATES } from '../constants.js';
+import { ApprovalService } from '../api/ApprovalService.js';
+import { BuybackService } from '../api/BuybackService.js';
+import { CurrencyRegistry } from '../api/CurrencyRegistry.js';
+import { PricingService } from '../api/PricingService.js';
+import { TradeService } from '../api/TradeService.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin, DialogV2 } = foundry.applications.api;
+
+export class ApprovalQueueApplication extends HandlebarsApplicationMixin(ApplicationV2) {
+
+    /** @type {number} Queue length at the last refresh, to spot new trades */
+    static #lastCount = 0;
+
+    static DEFAULT_OPTIONS = {
+        id: 'ironic-shop-approvals',
+        classes: ['ironic-shop', 'ironic-shop-approvals'],
+        tag: 'div',
+        window: {
+            frame: true,
+            positioned: true,
+            title: 'Trade Approvals',
+            icon: 'fa-solid fa-gavel',
+            minimizable: true,
+            resizable: true,
+            contentClasses: []
+        },
+        actions: {
+            approve: ApprovalQueueApplication.#onApprove,
+            reject: ApprovalQueueApplication.#onReject
+        },
+        position: {
+            width: 620,
+            height: 640
+        }
+    };
+
+    static PARTS = {
+        main: {
+            id: 'main',
+            template: TEMPLATES.APPROVALS
+        }
+    };
+
+    /**
+     * Show the queue, reusing an open window
+     * @returns {Promise<ApprovalQueueApplication>}
+     */
+    static async open() {
+        const existing = foundry.applications.instances.get(this.DEFAULT_OPTIONS.id);
+        if (existing) {
+            existing.bringToFront();
+            return existing;
+        }
+
+        const queue = new this();
+        await queue.render(true);
+        return queue;
+    }
+
+    /**
+     * Re-render the queue when it changes, and open it for the GM when a trade arrives
+     */
+    static refresh() {
+        const count = ApprovalService.getQueue().length;
+        const grew = count > this.#lastCount;
+        this.#lastCount = count;
+        if (!game.user.isGM) return;
+
+        const existing = foundry.applications.instances.get(this.DEFAULT_OPTIONS.id);
+        if (existing) existing.render();
+        else if (grew) this.open();
+    }
+
+    /**
+     * Prepare context data for rendering
+     */
+    async _prepareContext(options) {
+        const context = await super._prepareContext(options);
+        context.entries = await Promise.all(ApprovalService.getQueue().map(entry => this.#prepareEntry(entry)));
+        context.standardCurrency = CurrencyRegistry.getStandard().abbr;
+        return context;
+    }
+
+    /**
+     * Describe a waiting trade, with inputs for everything the GM can change
+     */
+    async #prepareEntry(entry) {
+        const prepared = {
+            id: entry.id,
+            date: new Date(entry.time).toLocaleString(),
+            userName: entry.userName,
+            shopName: entry.shop.name,
+            playerName: entry.player.name,
+            modified: entry.modified,
+            settle: !!entry.trade?.settle,
+            playerItems: [],
+            shopItems: [],
+            problem: await ApprovalService.check(entry)
+        };
+        if (entry.buyback) return this.#prepareBuyback(entry, prepared);
+
+        let trade;
+        try {
+            trade = await TradeService.resolveTrade(entry.trade);
+        } catch (error) {
+            return prepared;
+        }
+
+        const describe = (refs, priceOf) => refs.map(({ item, quantity }) => ({
+            itemId: item.id,
+            name: item.name,
+            img: item.img,
+            quantity,
+            valueLabel: CurrencyRegistry.format(priceOf(item, quantity))
+        }));
+        prepared.playerItems = describe(trade.playerItems, (item, quantity) => PricingService.getSellPrice(item, trade.shopActor, trade.playerActor, quantity));
+        prepared.shopItems = describe(trade.shopItems, (item, quantity) => PricingService.getBuyPrice(item, trade.shopActor, trade.playerActor, quantity));
+
+        if (trade.settle) {
+            const settlement = TradeService.planSettlement(trade);
+            prepared.settlement = settlement && {
+                playerPays: this.#prepareCoins(settlement.playerCurrency),
+                shopPays: this.#prepareCoins(settlement.shopCurrency)
+            };
+        } else {
+            const denominations = CurrencyRegistry.getDenominations();
+            prepared.playerCurrency = denominations.map(({ key, abbr, color }) => ({ key, abbr, color, amount: trade.playerCurrency[key] ?? 0 }));
+            prepared.shopCurrency = denominations.map(({ key, abbr, color }) => ({ key, abbr, color, amount: trade.shopCurrency[key] ?? 0 }));
+        }
+
+        const balance = PricingService.round(TradeService.calculateBalance(trade));
+        prepared.balance = balance >= 0 ? `+${balance}` : balance;
+        prepared.balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+        return prepared;
+    }
+
+    /**
+     * Describe a waiting buyback: the item going back and its fixed price
+     */
+    async #prepareBuyback(entry, prepared) {
+        // Missing actors or entries are reported by the problem line
+        const { entry: stored } = await BuybackService.resolveBuyback(entry.buyback).catch(() => ({}));
+        if (stored) {
+            prepared.buyback = {
+                name: stored.name,
+                img: stored.img,
+                quantity: stored.quantity,
+                valueLabel: CurrencyRegistry.format(BuybackService.getPrice(stored))
+            };
+        }
+        return prepared;
+    }
+
+    /**
+     * Prepare the non-empty denominations of a purse for display
+     */
+    #prepareCoins(purse) {
+        return CurrencyRegistry.getDenominations()
+            .filter(({ key }) => purse[key] > 0)
+            .map(({ key, abbr, color }) => ({ key, abbr, color, amount: purse[key] }));
+    }
+
+    /**
+     * Attach change handlers for the GM's modifications
+     */
+    _onRender(context, options) {
+        super._onRender(context, options);
+
+        this.element.querySelectorAll('input[data-entry-id]').forEach(input => {
+            input.addEventListener('change', this.#onModify.bind(this));
+        });
+    }
+
+    /**
+     * Save a change to one of the waiting trades
+     */
+    async #onModify(event) {
+        const { entryId, field, itemId, denomination } = event.target.dataset;
+        const entry = ApprovalService.get(entryId);
+        if (!entry) return;
+
+        const changes = {};
+        if (field === 'settle') {
+            changes.settle = event.target.checked;
+        } else if (itemId) {
+            const quantity = Math.max(0, parseInt(event.target.value) || 0);
+            changes[field] = entry.trade[field].map(ref => ref.itemId === itemId ? { ...ref, quantity } : ref);
+        } else if (denomination) {
+            changes[field] = { ...entry.trade[field], [denomination]: Math.max(0, parseInt(event.target.value) || 0) };
+        }
+
+        try {
+            await ApprovalService.modify(entryId, changes);
+        } catch (error) {
+            ui.notifications.warn(error.message);
+            this.render();
+        }
+    }
+
+    /**
+     * Handle approve button - execute the trade as it now stands
+     */
+    static async #onApprove(event, target) {
+        try {
+            await ApprovalService.approve(target.dataset.entryId);
+        } catch (error) {
+            ui.notifications.warn(error.message);
+        }
+    }
+
+    /**
+     * Handle reject button - ask for a message to send the player, then drop the trade
+     */
+    static async #onReject(event, target) {
+        const reason = await DialogV2.prompt({
+            window: { title: 'Reject Trade' },
+            content: `<p>Message for the player (optional):</p>
+                <textarea name="reason" rows="3" autofocus></textarea>`,
+            ok: {
+                label: 'Reject',
+                callback: (event, button) => button.form.elements.reason.value.trim()
+            },
+            rejectClose: false
+        });
+        if (reason === null || reason === undefined) return;
+
+        try {
+            await ApprovalService.reject(target.dataset.entryId, reason);
+        } catch (error) {
+            ui.notifications.warn(error.message);
+        }
+    }
+}
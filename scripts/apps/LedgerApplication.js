@@ -0,0 +1,192 @@
+/**
+ * LedgerApplication - Read-only list of an actor's recorded trades
+ * Works for merchants and characters alike, since both keep a copy of every trade
+ */
+
+import { TEMPLATES } from '../constants.js';
+import { CurrencyRegistry } from '../api/CurrencyRegistry.js';
+import { LedgerService } from '../api/LedgerService.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin, DialogV2 } = foundry.applications.api;
+
+/**
+ * Format seconds of world time as a day and time of day
+ * @param {number} seconds
+ */
+function formatWorldTime(seconds) {
+    const day = Math.floor(seconds / 86400) + 1;
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `Day ${day}, ${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+export class LedgerApplication extends HandlebarsApplicationMixin(ApplicationV2) {
+
+    /** @type {Actor} The actor whose ledger is shown */
+    actor = null;
+
+    /** @type {string} Filter on counterpart and item names */
+    search = '';
+
+    static DEFAULT_OPTIONS = {
+        classes: ['ironic-shop', 'ironic-shop-ledger'],
+        tag: 'div',
+        window: {
+            frame: true,
+            positioned: true,
+            title: 'Trade Ledger',
+            icon: 'fa-solid fa-book',
+            minimizable: true,
+            resizable: true,
+            contentClasses: []
+        },
+        actions: {
+            clear: LedgerApplication.#onClear
+        },
+        position: {
+            width: 560,
+            height: 640
+        }
+    };
+
+    static PARTS = {
+        main: {
+            id: 'main',
+            template: TEMPLATES.LEDGER
+        }
+    };
+
+    /**
+     * @param {Object} options
+     * @param {Actor} options.actor - The merchant or character
+     */
+    constructor(options = {}) {
+        if (!options.actor) {
+            throw new Error('LedgerApplication requires an actor');
+        }
+        options.id ??= LedgerApplication.idFor(options.actor);
+        super(options);
+        this.actor = options.actor;
+    }
+
+    /**
+     * The application id used for an actor's ledger
+     * @param {Actor} actor
+     */
+    static idFor(actor) {
+        return `ironic-shop-ledger-${actor.uuid.replaceAll('.', '-')}`;
+    }
+
+    /**
+     * Show an actor's ledger, reusing an open window
+     * @param {Actor} actor
+     * @returns {Promise<LedgerApplication>}
+     */
+    static async open(actor) {
+        const existing = foundry.applications.instances.get(this.idFor(actor));
+        if (existing) {
+            existing.bringToFront();
+            return existing;
+        }
+
+        const ledger = new this({ actor });
+        await ledger.render(true);
+        return ledger;
+    }
+
+    get title() {
+        return `Trade Ledger: ${this.actor.name}`;
+    }
+
+    /**
+     * Prepare context data for rendering
+     */
+    async _prepareContext(options) {
+        const context = await super._prepareContext(options);
+        const search = this.search.toLowerCase();
+
+        context.actor = this.actor;
+        context.search = this.search;
+        context.canClear = game.user.isGM;
+        context.entries = LedgerService.getEntries(this.actor)
+            .filter(entry => !search || [entry.shop.name, entry.player.name, ...entry.playerItems.map(i => i.name), ...entry.shopItems.map(i => i.name)]
+                .some(name => name?.toLowerCase().includes(search)))
+            .map(entry => ({
+                id: entry.id,
+                date: new Date(entry.time).toLocaleString(),
+                worldTime: formatWorldTime(entry.worldTime ?? 0),
+                userName: entry.userName,
+                shopName: entry.shop.name,
+                playerName: entry.player.name,
+                sides: [
+                    this.#prepareSide(entry.player.name, entry.playerItems, entry.playerCurrency),
+                    this.#prepareSide(entry.shop.name, entry.shopItems, entry.shopCurrency)
+                ],
+                balance: CurrencyRegistry.format(entry.balance),
+                balanceClass: entry.balance > 0 ? 'positive' : entry.balance < 0 ? 'negative' : 'neutral'
+            }));
+
+        return context;
+    }
+
+    /**
+     * Items and coins one side handed over
+     * Coins are shown in the active currency system; unknown denominations are skipped
+     */
+    #prepareSide(name, items, purse = {}) {
+        const coins = CurrencyRegistry.getDenominations()
+            .filter(({ key }) => purse[key] > 0)
+            .map(({ key, abbr, color }) => ({ key, abbr, color, amount: purse[key] }));
+        return {
+            name,
+            items: items.map(item => ({ ...item, valueLabel: CurrencyRegistry.format(item.value) })),
+            coins,
+            empty: !items.length && !coins.length
+        };
+    }
+
+    /**
+     * Register with the actor so new entries re-render the ledger
+     */
+    _onFirstRender(context, options) {
+        super._onFirstRender(context, options);
+        this.actor.apps[this.id] = this;
+    }
+
+    /**
+     * Attach the search handler after render
+     */
+    _onRender(context, options) {
+        super._onRender(context, options);
+
+        this.element.querySelector('input[name="search"]')?.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            this.search = e.target.value;
+            this.render();
+        });
+    }
+
+    /**
+     * Unregister from the actor
+     */
+    _onClose(options) {
+        super._onClose(options);
+        delete this.actor.apps[this.id];
+    }
+
+    /**
+     * Delete every entry after confirmation (GM only)
+     */
+    static async #onClear(event, target) {
+        if (!game.user.isGM) return;
+
+        const confirmed = await DialogV2.confirm({
+            window: { title: 'Clear Ledger' },
+            content: `<p>Delete every trade recorded for <strong>${this.actor.name}</strong>? The other party keeps their copy.</p>`
+        });
+        if (!confirmed) return;
+
+        await LedgerService.clear(this.actor);
+    }
+}
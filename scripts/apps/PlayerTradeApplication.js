@@ -0,0 +1,352 @@
+/**
+ * PlayerTradeApplication - Trading window between two player characters
+ * Each side builds its own offer; the GM holds the session and executes it once both sides accept
+ */
+
+import { TEMPLATES, TRADEABLE_TYPES } from '../constants.js';
+import { CurrencyRegistry } from '../api/CurrencyRegistry.js';
+import { PlayerTradeService } from '../api/PlayerTradeService.js';
+import { PricingService } from '../api/PricingService.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin, DialogV2 } = foundry.applications.api;
+
+export class PlayerTradeApplication extends HandlebarsApplicationMixin(ApplicationV2) {
+
+    /** @type {Map<string, Object>} Sessions this user has been invited to and not answered yet */
+    static #invites = new Map();
+
+    /** @type {Object} The session as last synced from the GM */
+    session = null;
+
+    /** @type {string} Search filter for this user's inventory */
+    search = '';
+
+    static DEFAULT_OPTIONS = {
+        classes: ['ironic-shop', 'ironic-shop-player-trade'],
+        tag: 'div',
+        window: {
+            frame: true,
+            positioned: true,
+            title: 'Trade',
+            icon: 'fa-solid fa-handshake',
+            minimizable: true,
+            resizable: true,
+            contentTag: 'section'
+        },
+        actions: {
+            'remove-item': PlayerTradeApplication.#onRemoveItem,
+            cancel: PlayerTradeApplication.#onCancel
+        },
+        position: {
+            width: 760,
+            height: 640
+        }
+    };
+
+    static PARTS = {
+        main: {
+            id: 'main',
+            template: TEMPLATES.PLAYER_TRADE
+        }
+    };
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.session - The session, as synced from the GM
+     */
+    constructor(options = {}) {
+        if (!options.session) throw new Error('PlayerTradeApplication requires a session');
+        super({ ...options, id: PlayerTradeApplication.getId(options.session.id) });
+        this.session = options.session;
+    }
+
+    /**
+     * The application id of a session's window
+     * @param {string} sessionId
+     */
+    static getId(sessionId) {
+        return `ironic-shop-player-trade-${sessionId}`;
+    }
+
+    /**
+     * Bring this client in line with a session: open, refresh or close its window
+     * The invited side is asked first; declining ends the session
+     * @param {Object} session
+     */
+    static async sync(session) {
+        const existing = foundry.applications.instances.get(this.getId(session.id));
+
+        if (session.status !== 'open') {
+            this.#invites.delete(session.id);
+            if (existing) {
+                existing.session = session;
+                existing.close();
+            }
+            if (session.message) {
+                if (session.status === 'complete') ui.notifications.info(session.message);
+                else ui.notifications.warn(session.message);
+            }
+            return;
+        }
+
+        if (existing) {
+            existing.session = session;
+            existing.render();
+            return;
+        }
+
+        // The side that opened the trade goes straight to the window
+        if (session.sides[0].userId === game.user.id) {
+            new this({ session }).render(true);
+            return;
+        }
+
+        // Later syncs while the invite is still open only replace the session it will open with
+        const asked = this.#invites.has(session.id);
+        this.#invites.set(session.id, session);
+        if (asked) return;
+
+        const [them, mine] = session.sides;
+        const { escapeHTML } = foundry.utils;
+        const accepted = await DialogV2.confirm({
+            window: { title: 'Trade Offer' },
+            content: `<p><strong>${escapeHTML(them.name)}</strong> wants to trade with <strong>${escapeHTML(mine.name)}</strong>.</p>`,
+            rejectClose: false
+        });
+
+        // The session may have ended while the invite was open
+        const latest = this.#invites.get(session.id);
+        this.#invites.delete(session.id);
+        if (!latest) return;
+
+        if (!accepted) {
+            PlayerTradeService.cancel(session.id).catch(error => ui.notifications.warn(error.message));
+            return;
+        }
+        new this({ session: latest }).render(true);
+    }
+
+    /** The side this user controls */
+    get mySide() {
+        return this.session.sides.find(side => side.userId === game.user.id);
+    }
+
+    /** The other side */
+    get theirSide() {
+        return this.session.sides.find(side => side.userId !== game.user.id);
+    }
+
+    /** @type {Actor} The character this user trades with */
+    get actor() {
+        return fromUuidSync(this.mySide.actorUuid);
+    }
+
+    get title() {
+        return `Trading with ${this.theirSide.name}`;
+    }
+
+    /**
+     * Prepare context data for rendering
+     */
+    async _prepareContext(options) {
+        const context = await super._prepareContext(options);
+        const mine = this.mySide;
+        const theirs = this.theirSide;
+
+        context.myName = mine.name;
+        context.theirName = theirs.name;
+        context.message = this.session.message;
+        context.search = this.search;
+        context.standardCurrency = CurrencyRegistry.getStandard().abbr;
+
+        // This user's coins and inventory
+        const purse = this.actor ? CurrencyRegistry.getPurse(this.actor) : CurrencyRegistry.emptyPurse();
+        context.myCurrency = CurrencyRegistry.getDenominations().map(({ key, label, abbr, color }) => ({
+            key,
+            label,
+            abbr,
+            color,
+            amount: purse[key],
+            offered: mine.currency[key] ?? 0
+        }));
+        context.inventory = this.#prepareInventory();
+
+        // Both offers
+        context.myOffer = this.#prepareOffer(mine);
+        context.theirOffer = this.#prepareOffer(theirs);
+
+        return context;
+    }
+
+    /**
+     * This user's tradeable items, marking those already offered
+     */
+    #prepareInventory() {
+        const offered = new Set(this.mySide.items.map(({ itemId }) => itemId));
+        const search = this.search.toLowerCase();
+
+        return (this.actor?.items ?? [])
+            .filter(item => TRADEABLE_TYPES.includes(item.type))
+            .filter(item => !search || item.name.toLowerCase().includes(search))
+            .map(item => ({
+                id: item.id,
+                name: item.name,
+                img: item.img,
+                quantity: item.system.quantity ?? 1,
+                priceLabel: CurrencyRegistry.format(PricingService.getBasePrice(item)),
+                priceTitle: 'List price',
+                inTrade: offered.has(item.id),
+                tooltip: offered.has(item.id) ? 'Click to take back' : 'Click to offer'
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Prepare one side's offer for display
+     */
+    #prepareOffer(side) {
+        const coins = CurrencyRegistry.getDenominations()
+            .filter(({ key }) => side.currency[key] > 0)
+            .map(({ key, abbr, color }) => ({ key, abbr, color, amount: side.currency[key] }));
+        const value = side.items.reduce((total, item) => total + (item.value ?? 0), 0) + CurrencyRegistry.purseValue(side.currency);
+
+        return {
+            name: side.name,
+            img: side.img,
+            accepted: side.accepted,
+            items: side.items.map(item => ({ ...item, id: item.itemId, priceLabel: CurrencyRegistry.format(item.value ?? 0) })),
+            coins,
+            valueLabel: CurrencyRegistry.format(PricingService.round(value)),
+            empty: !side.items.length && !coins.length
+        };
+    }
+
+    /**
+     * Register with the actor so inventory changes re-render the window
+     */
+    _onFirstRender(context, options) {
+        super._onFirstRender(context, options);
+        if (this.actor) this.actor.apps[this.id] = this;
+    }
+
+    /**
+     * Attach event listeners after render
+     */
+    _onRender(context, options) {
+        super._onRender(context, options);
+        const html = this.element;
+
+        html.querySelectorAll('.inventory-item').forEach(el => {
+            el.addEventListener('click', this.#onInventoryItemClick.bind(this));
+        });
+
+        html.querySelectorAll('input[data-trade-currency]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const currency = { ...this.mySide.currency, [e.target.dataset.denomination]: Math.max(0, parseInt(e.target.value) || 0) };
+                this.#sendOffer({ currency });
+            });
+        });
+
+        html.querySelector('input[name="accepted"]')?.addEventListener('change', async (e) => {
+            try {
+                await PlayerTradeService.accept(this.session.id, e.target.checked);
+            } catch (error) {
+                ui.notifications.warn(error.message);
+                this.render();
+            }
+        });
+
+        html.querySelector('input[name="search"]')?.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            this.search = e.target.value;
+            this.render();
+        });
+    }
+
+    /**
+     * Unregister from the actor, and end the session if it is still open
+     */
+    _onClose(options) {
+        super._onClose(options);
+        if (this.actor) delete this.actor.apps[this.id];
+        if (this.session.status === 'open') PlayerTradeService.cancel(this.session.id).catch(() => {});
+    }
+
+    /**
+     * Handle inventory item click - add it to the offer, or take it back out
+     */
+    async #onInventoryItemClick(event) {
+        event.preventDefault();
+        const item = this.actor?.items.get(event.currentTarget.dataset.itemId);
+        if (!item) return;
+
+        const items = this.mySide.items.map(({ itemId, quantity }) => ({ itemId, quantity }));
+        const index = items.findIndex(({ itemId }) => itemId === item.id);
+        if (index >= 0) {
+            items.splice(index, 1);
+            return this.#sendOffer({ items });
+        }
+
+        const available = item.system.quantity ?? 1;
+        if (available < 1) {
+            ui.notifications.warn(`${this.mySide.name} has no ${item.name} left.`);
+            return;
+        }
+
+        const quantity = available > 1 ? await this.#promptQuantity(item.name, available) : 1;
+        if (!quantity) return;
+
+        items.push({ itemId: item.id, quantity });
+        this.#sendOffer({ items });
+    }
+
+    /**
+     * Ask how many of an item to offer
+     * @returns {Promise<number|null>}
+     */
+    async #promptQuantity(itemName, maxQuantity) {
+        const quantity = await DialogV2.prompt({
+            window: { title: 'Select Quantity' },
+            content: `<p>How many "${foundry.utils.escapeHTML(itemName)}" to offer? (max ${maxQuantity})</p>
+                <input type="number" name="quantity" value="1" min="1" max="${maxQuantity}" step="1" autofocus>`,
+            ok: {
+                label: 'Offer',
+                callback: (event, button) => button.form.elements.quantity.valueAsNumber
+            },
+            rejectClose: false
+        });
+        if (!Number.isFinite(quantity) || quantity < 1) return null;
+        return Math.min(Math.floor(quantity), maxQuantity);
+    }
+
+    /**
+     * Send this user's offer to the GM, keeping whichever part is not changed
+     */
+    async #sendOffer({ items = this.mySide.items, currency = this.mySide.currency } = {}) {
+        try {
+            await PlayerTradeService.offer(this.session.id, {
+                items: items.map(({ itemId, quantity }) => ({ itemId, quantity })),
+                currency
+            });
+        } catch (error) {
+            ui.notifications.warn(error.message);
+            this.render();
+        }
+    }
+
+    /**
+     * Handle remove button on an offered item
+     */
+    static #onRemoveItem(event, target) {
+        const items = this.mySide.items.filter(({ itemId }) => itemId !== target.dataset.itemId);
+        this.#sendOffer({ items });
+    }
+
+    /**
+     * Handle cancel button - closing the window ends the trade
+     */
+    static #onCancel(event, target) {
+        this.close();
+    }
+}
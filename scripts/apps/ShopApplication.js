@@ -3,10 +3,24 @@
  * Handles the UI and logic for player-NPC trading
  */
 
-import { MODULE_ID, TEMPLATES } from '../constants.js';
+import { MODULE_ID, TEMPLATES, TRADEABLE_TYPES } from '../constants.js';
+import { BuybackService } from '../api/BuybackService.js';
+import { BuyRules } from '../api/BuyRules.js';
+import { CurrencyRegistry } from '../api/CurrencyRegistry.js';
+import { DraftService } from '../api/DraftService.js';
+import { HaggleService } from '../api/HaggleService.js';
+import { PricingService } from '../api/PricingService.js';
+import { ReputationService } from '../api/ReputationService.js';
+import { ReservationService } from '../api/ReservationService.js';
+import { ShopData } from '../api/ShopData.js';
+import { TradeService } from '../api/TradeService.js';
+import { LedgerApplication } from './LedgerApplication.js';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
+/** Milliseconds the trade must stay unchanged before its draft is written */
+const DRAFT_SAVE_DELAY = 1000;
+
 export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
     
     /** @type {Actor} The shop/NPC actor */
@@ -21,11 +35,11 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
     /** @type {Map<string, {item: Item, quantity: number}>} Items shop is offering */
     shopTradeItems = new Map();
     
-    /** @type {Object} Currency the player is offering */
-    playerTradeCurrency = { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 };
+    /** @type {Object<string, number>} Currency the player is offering, keyed by denomination */
+    playerTradeCurrency = CurrencyRegistry.emptyPurse();
     
-    /** @type {Object} Currency the shop is offering */
-    shopTradeCurrency = { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 };
+    /** @type {Object<string, number>} Currency the shop is offering, keyed by denomination */
+    shopTradeCurrency = CurrencyRegistry.emptyPurse();
 
     /** @type {string} Search filter for shop inventory */
     shopSearch = '';
@@ -39,6 +53,33 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
     /** @type {string} Sort method for player inventory */
     playerSort = 'name';
 
+    /** @type {string} What the shop panel shows (stock, buyback) */
+    shopView = 'stock';
+
+    /** @type {boolean} Whether the balance is paid automatically instead of with the offered coins */
+    settleBalance = game.settings.get(MODULE_ID, 'autoSettle');
+
+    /** @type {boolean} Whether a trade request is waiting on the GM */
+    tradePending = false;
+
+    /** @type {string|null} Approval queue entry of a confirmed trade the GM has not reviewed yet */
+    awaitingApproval = null;
+
+    /** @type {{status: string, message: string}|null} The GM's review of the last trade that needed approval */
+    lastReview = null;
+
+    /** @type {string|null} The draft as last saved, to skip saves that change nothing */
+    #savedDraft = null;
+
+    /** @type {Map<string, {created: boolean, quantity: number}>} Stock the GM added by dropping items on the shop pane, by merchant item id */
+    #stocked = new Map();
+
+    /** Writes the draft once the trade has stopped changing for a moment */
+    #writeDraft = foundry.utils.debounce(draft => {
+        DraftService.save(this.shopActor, this.playerActor, draft)
+            .catch(error => console.error(`Failed to save the trade with ${this.shopActor.name}:`, error));
+    }, DRAFT_SAVE_DELAY);
+
     static DEFAULT_OPTIONS = {
         id: 'ironic-shop-{id}',
         classes: ['ironic-shop'],
@@ -56,6 +97,11 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
         },
         actions: {
             confirm: ShopApplication.#onConfirm,
+            haggle: ShopApplication.#onHaggle,
+            ledger: ShopApplication.#onLedger,
+            reputation: ShopApplication.#onReputation,
+            'shop-view': ShopApplication.#onShopView,
+            buyback: ShopApplication.#onBuyback,
             cancel: ShopApplication.#onCancel,
             'remove-player-item': ShopApplication.#onRemovePlayerItem,
             'remove-shop-item': ShopApplication.#onRemoveShopItem
@@ -86,10 +132,55 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
         if (!this.shopActor || !this.playerActor) {
             throw new Error('ShopApplication requires both shopActor and playerActor');
         }
+
+        this.#restoreDraft();
+        this.#savedDraft = JSON.stringify(this.#serializeDraft());
+    }
+
+    /**
+     * Pick up the trade this character left unfinished with the merchant
+     */
+    #restoreDraft() {
+        const draft = DraftService.restore(this.shopActor, this.playerActor);
+        if (!draft) return;
+
+        this.playerTradeItems = draft.playerItems;
+        this.shopTradeItems = draft.shopItems;
+        this.playerTradeCurrency = draft.playerCurrency;
+        this.shopTradeCurrency = draft.shopCurrency;
+        this.settleBalance = draft.settle;
+        this.awaitingApproval = draft.awaitingApproval;
+        for (const warning of draft.warnings) ui.notifications.warn(warning);
+    }
+
+    /**
+     * Save the trade as it stands, so closing the window or reloading keeps it
+     */
+    #saveDraft() {
+        if (!this.playerActor.isOwner) return;
+
+        const draft = this.#serializeDraft();
+        const serialized = JSON.stringify(draft);
+        if (serialized === this.#savedDraft) return;
+
+        this.#savedDraft = serialized;
+        this.#writeDraft(draft);
+    }
+
+    #serializeDraft() {
+        return DraftService.serialize({
+            playerItems: this.playerTradeItems.values(),
+            shopItems: this.shopTradeItems.values(),
+            playerCurrency: this.playerTradeCurrency,
+            shopCurrency: this.shopTradeCurrency,
+            settle: this.settleBalance,
+            awaitingApproval: this.awaitingApproval
+        });
     }
 
     get title() {
-        return `Trading with ${this.shopActor.name}`;
+        const shopName = ShopData.getSettings(this.shopActor).shopName;
+        return `Trading with ${shopName || this.shopActor.name}`;
     }
 
     /**
@@ -98,19 +189,52 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
     async _prepareContext(options) {
         const context = await super._prepareContext(options);
 
-        const pricePath = game.settings.get(MODULE_ID, 'itemPricePath');
-
-        // Get currency values (D&D 5e has multiple currencies)
-        context.shopCurrency = this.#prepareCurrency(this.shopActor);
-        context.playerCurrency = this.#prepareCurrency(this.playerActor);
+        // Merchant settings
+        const shopSettings = ShopData.getSettings(this.shopActor);
+        context.greeting = shopSettings.greeting;
+        context.buysItems = shopSettings.buysItems;
+        const multipliers = PricingService.getMultipliers(this.shopActor, this.playerActor);
+        context.buyMarkupPercent = Math.round(multipliers.buy * 100);
+        context.sellRatioPercent = Math.round(multipliers.sell * 100);
+
+        // Haggling
+        context.haggleEnabled = shopSettings.haggleEnabled;
+        context.haggleProblem = HaggleService.checkHaggle(this.shopActor, this.playerActor);
+        context.haggleModifier = multipliers.haggle;
+        context.haggleLabel = multipliers.haggle > 0
+            ? `Haggled: ${Math.round(multipliers.haggle * 100)}% better deal`
+            : multipliers.haggle < 0 ? `Haggled: ${Math.round(-multipliers.haggle * 100)}% worse deal` : '';
+
+        // Get currency values for every denomination of the active currency system
+        context.shopCurrency = this.#prepareCurrency(this.shopActor, this.shopTradeCurrency);
+        context.playerCurrency = this.#prepareCurrency(this.playerActor, this.playerTradeCurrency);
+        context.standardCurrency = CurrencyRegistry.getStandard().abbr;
         
         // For backward compatibility, also provide total gold value
-        context.shopGold = this.#calculateTotalGold(context.shopCurrency);
-        context.playerGold = this.#calculateTotalGold(context.playerCurrency);
+        context.shopGold = CurrencyRegistry.purseValue(CurrencyRegistry.getPurse(this.shopActor));
+        context.playerGold = CurrencyRegistry.purseValue(CurrencyRegistry.getPurse(this.playerActor));
 
         // Get inventories (with search and sort applied)
-        context.shopInventory = this.#prepareInventory(this.shopActor, pricePath, 'shop', this.shopSearch, this.shopSort);
-        context.playerInventory = this.#prepareInventory(this.playerActor, pricePath, 'player', this.playerSearch, this.playerSort);
+        context.shopInventory = this.#prepareInventory(this.shopActor, 'shop', this.shopSearch, this.shopSort);
+        context.playerInventory = this.#prepareInventory(this.playerActor, 'player', this.playerSearch, this.playerSort);
+
+        // Reputation with the merchant or its faction
+        const standing = ReputationService.getStanding(this.shopActor, this.playerActor);
+        const percent = Math.round(Math.abs(standing.tier.modifier) * 100);
+        context.isGM = game.user.isGM;
+        context.standing = {
+            ...standing,
+            points: Math.round(standing.points),
+            toNext: standing.next ? Math.ceil(standing.next.min - standing.points) : 0,
+            effectLabel: standing.tier.modifier > 0 ? `${percent}% better prices`
+                : standing.tier.modifier < 0 ? `${percent}% worse prices` : 'Standard prices',
+            effectClass: standing.tier.modifier > 0 ? 'positive' : standing.tier.modifier < 0 ? 'negative' : 'neutral'
+        };
+
+        // Items the character sold here and can buy back
+        context.buybackEnabled = BuybackService.getWindow() > 0;
+        context.shopView = context.buybackEnabled ? this.shopView : 'stock';
+        context.buyback = context.buybackEnabled ? this.#prepareBuyback() : [];
 
         // Search and sort state
         context.shopSearch = this.shopSearch;
@@ -119,70 +243,97 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
         context.playerSort = this.playerSort;
 
         // Trade items
-        context.playerTradeItems = this.#prepareTradeItems(this.playerTradeItems);
-        context.shopTradeItems = this.#prepareTradeItems(this.shopTradeItems);
+        context.playerTradeItems = this.#prepareTradeItems(this.playerTradeItems, 'player');
+        context.shopTradeItems = this.#prepareTradeItems(this.shopTradeItems, 'shop');
 
         // Trade currency
         context.playerTradeCurrency = { ...this.playerTradeCurrency };
         context.shopTradeCurrency = { ...this.shopTradeCurrency };
         
         // Calculate total trade gold values for balance calculation
-        context.playerTradeGold = this.#calculateTotalGold(this.playerTradeCurrency);
-        context.shopTradeGold = this.#calculateTotalGold(this.shopTradeCurrency);
+        context.playerTradeGold = CurrencyRegistry.purseValue(this.playerTradeCurrency);
+        context.shopTradeGold = CurrencyRegistry.purseValue(this.shopTradeCurrency);
+
+        // Coins that would change hands when settling automatically
+        context.settleBalance = this.settleBalance;
+        if (this.settleBalance) {
+            const settlement = TradeService.planSettlement(this.#getTrade());
+            context.settlement = settlement && {
+                playerPays: this.#prepareCoins(settlement.playerCurrency),
+                shopPays: this.#prepareCoins(settlement.shopCurrency)
+            };
+        }
 
         // Calculate trade balance
-        const balance = this.#calculateTradeBalance();
+        const balance = PricingService.round(this.#calculateTradeBalance());
         context.tradeBalance = balance >= 0 ? `+${balance}` : balance;
         context.tradeBalanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
 
         // Can confirm trade?
-        context.canConfirm = this.#canConfirmTrade(context.playerCurrency, context.shopCurrency);
+        context.confirmProblem = this.#getConfirmProblem();
+        context.canConfirm = context.confirmProblem === null;
+        context.tradePending = this.tradePending;
+        context.awaitingApproval = !!this.awaitingApproval;
+        context.lastReview = this.lastReview;
 
         return context;
     }
 
     /**
-     * Prepare currency object for display
+     * Prepare an actor's coins and their trade offer for display
+     * @param {Actor} actor
+     * @param {Object<string, number>} offer - Coins currently offered in the trade
      */
-    #prepareCurrency(actor) {
-        const currency = actor.system?.currency ?? {};
-        return {
-            pp: currency.pp ?? 0,
-            gp: currency.gp ?? 0,
-            ep: currency.ep ?? 0,
-            sp: currency.sp ?? 0,
-            cp: currency.cp ?? 0
-        };
+    #prepareCurrency(actor, offer) {
+        const purse = CurrencyRegistry.getPurse(actor);
+        return CurrencyRegistry.getDenominations().map(({ key, label, abbr, color }) => ({
+            key,
+            label,
+            abbr,
+            color,
+            amount: purse[key],
+            offered: offer[key] ?? 0
+        }));
     }
 
     /**
-     * Calculate total gold value from all currencies
+     * Prepare the character's buyback entries for display
      */
-    #calculateTotalGold(currency) {
-        return (currency.pp ?? 0) * 10 +
-               (currency.gp ?? 0) +
-               (currency.ep ?? 0) * 0.5 +
-               (currency.sp ?? 0) * 0.1 +
-               (currency.cp ?? 0) * 0.01;
+    #prepareBuyback() {
+        const window = BuybackService.getWindow();
+        return BuybackService.getEntries(this.shopActor, this.playerActor).map(entry => {
+            const hours = Math.max(0, Math.ceil((entry.worldTime + window - game.time.worldTime) / 3600));
+            return {
+                id: entry.id,
+                name: entry.name,
+                img: entry.img,
+                quantity: entry.quantity,
+                paidLabel: CurrencyRegistry.format(entry.price),
+                priceLabel: CurrencyRegistry.format(BuybackService.getPrice(entry)),
+                remainingLabel: `${hours}h left`,
+                problem: BuybackService.checkBuyback(this.shopActor, this.playerActor, entry)
+            };
+        });
     }
 
-    // inside class
-        #toGold(amount, denom = 'gp') {
-        switch ((denom || 'gp').toLowerCase()) {
-            case 'pp': return Number(amount) * 10;
-            case 'gp': return Number(amount);
-            case 'ep': return Number(amount) * 0.5;
-            case 'sp': return Number(amount) * 0.1;
-            case 'cp': return Number(amount) * 0.01;
-            default:   return Number(amount); // fallback = gp
-        }
-        }
+    /**
+     * Prepare the non-empty denominations of a purse for display
+     * @param {Object<string, number>} purse
+     */
+    #prepareCoins(purse) {
+        return CurrencyRegistry.getDenominations()
+            .filter(({ key }) => purse[key] > 0)
+            .map(({ key, abbr, color }) => ({ key, abbr, color, amount: purse[key] }));
+    }
 
-        #prepareInventory(actor, pricePath, source, searchFilter = '', sortMethod = 'name') {
-        let items = actor.items.filter(item => {
-            const validTypes = ['weapon', 'equipment', 'consumable', 'tool', 'loot', 'container', 'gear', '物品'];
-            return validTypes.includes(item.type);
-        });
+        #prepareInventory(actor, source, searchFilter = '', sortMethod = 'name') {
+        let items = actor.items.filter(item => TRADEABLE_TYPES.includes(item.type));
+
+        // Players only see stock the GM has made visible and that is not sold out or held by other shoppers
+        const holder = this.#holder;
+        if (source === 'shop' && !game.user.isGM) {
+            items = items.filter(item => ShopData.isVisible(item, this.playerActor) && ReservationService.getAvailable(item, holder) > 0);
+        }
 
         if (searchFilter) {
             const search = searchFilter.toLowerCase();
@@ -190,16 +341,18 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
         }
 
         const preparedItems = items.map(item => {
-            // read value + denom (dnd5e v3 has system.price.value + system.price.denomination)
-            const rawValue = Number(foundry.utils.getProperty(item, pricePath) ?? 0);
-            const denom = String(foundry.utils.getProperty(item, 'system.price.denomination') ?? 'gp').toLowerCase();
-
-            const quantity = Number(foundry.utils.getProperty(item, 'system.quantity') ?? 1);
+            const unlimited = source === 'shop' && ShopData.isUnlimited(item);
+            // Shop stock held in other shoppers' trades is left out of what this shopper sees
+            const reserved = source === 'shop' && !unlimited ? ReservationService.getReserved(item, holder) : 0;
+            const quantity = Number(foundry.utils.getProperty(item, 'system.quantity') ?? 1) - reserved;
+            // Player items the merchant won't buy stay listed, greyed out with the reason
+            const refused = source === 'player' ? BuyRules.check(item, this.shopActor) : null;
             const tradeMap = source === 'shop' ? this.shopTradeItems : this.playerTradeItems;
             const inTrade  = tradeMap.has(item.id);
 
-            const priceInGp = this.#toGold(rawValue, denom);
-            const priceLabel = `${rawValue} ${denom.toUpperCase()}`;
+            // same prices the trade balance uses, shown in the coin that reads best (0.5 gp as 5 sp)
+            const priceInGp = this.#getUnitPrice(item, source);
+            const { amount, denomination } = CurrencyRegistry.describe(priceInGp);
 
             return {
             id: item.id,
@@ -207,12 +360,18 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
             name: item.name,
             img: item.img,
             // keep raw fields and also provide normalized + label
-            price: rawValue,
-            denom,
+            price: amount,
+            denom: denomination.key,
+            priceColor: denomination.color,
             priceInGp,
-            priceLabel,
+            priceLabel: `${amount} ${denomination.abbr}`,
+            priceTitle: this.#describePrice(item, source),
             quantity,
-            inTrade
+            unlimited,
+            reserved,
+            refused,
+            inTrade,
+            hidden: source === 'shop' && !ShopData.isVisible(item)
             };
         });
 
@@ -225,7 +384,7 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
             preparedItems.sort((a, b) => a.priceInGp - b.priceInGp);
             break;
             case 'quantity':
-            preparedItems.sort((a, b) => b.quantity - a.quantity);
+            preparedItems.sort((a, b) => (b.unlimited ? Infinity : b.quantity) - (a.unlimited ? Infinity : a.quantity));
             break;
             case 'name':
             default:
@@ -238,66 +397,81 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
 
 
     /**
-     * Prepare trade items for display
+     * Price of one unit in the standard denomination
+     * Shop stock is priced with the buy markup, player items with the sell-back ratio
+     * @param {Item} item
+     * @param {string} source - shop or player
      */
-    #prepareTradeItems(tradeMap) {
-        return Array.from(tradeMap.values()).map(({ item, quantity }) => ({
-            id: item.id,
-            uuid: item.uuid,
-            name: item.name,
-            img: item.img,
-            quantity: quantity
-        }));
+    #getUnitPrice(item, source) {
+        return source === 'shop'
+            ? PricingService.getBuyPrice(item, this.shopActor, this.playerActor)
+            : PricingService.getSellPrice(item, this.shopActor, this.playerActor);
     }
 
     /**
-     * Calculate the trade balance (positive = player advantage)
+     * Spell out how an item's unit price is made up, one step per line
      */
-    #calculateTradeBalance() {
-        const pricePath = game.settings.get(MODULE_ID, 'itemPricePath');
+    #describePrice(item, source) {
+        const side = source === 'shop' ? 'buy' : 'sell';
+        const { base, override, factors, unit } = PricingService.getBreakdown(item, this.shopActor, this.playerActor, side);
+        const contents = PricingService.getContentsPrice(item, this.shopActor, this.playerActor, side);
+        return [
+            `${override ? 'Set price' : 'List price'}: ${CurrencyRegistry.format(base)}`,
+            ...factors.map(({ label, multiplier }) => `${label}: ×${Math.round(multiplier * 100) / 100}`),
+            ...(contents ? [`Contents: +${CurrencyRegistry.format(contents)}`] : []),
+            `Price: ${CurrencyRegistry.format(PricingService.round(unit + contents))}`
+        ].join('\n');
+    }
 
-        // Calculate player's offer value (currency + items)
-        let playerOfferValue = this.#calculateTotalGold(this.playerTradeCurrency);
-        for (const { item, quantity } of this.playerTradeItems.values()) {
-            const price = foundry.utils.getProperty(item, pricePath) ?? 0;
-            playerOfferValue += price * quantity;
-        }
+    /**
+     * Prepare trade items for display
+     */
+    #prepareTradeItems(tradeMap, source) {
+        return Array.from(tradeMap.values()).map(({ item, quantity }) => {
+            const total = source === 'shop'
+                ? PricingService.getBuyPrice(item, this.shopActor, this.playerActor, quantity)
+                : PricingService.getSellPrice(item, this.shopActor, this.playerActor, quantity);
+            return {
+                id: item.id,
+                uuid: item.uuid,
+                name: item.name,
+                img: item.img,
+                quantity: quantity,
+                priceLabel: CurrencyRegistry.format(total)
+            };
+        });
+    }
 
-        // Calculate shop's offer value (currency + items)
-        let shopOfferValue = this.#calculateTotalGold(this.shopTradeCurrency);
-        for (const { item, quantity } of this.shopTradeItems.values()) {
-            const price = foundry.utils.getProperty(item, pricePath) ?? 0;
-            shopOfferValue += price * quantity;
-        }
+    /**
+     * Gather the current offers in the shape TradeService works with
+     */
+    #getTrade() {
+        return {
+            shopActor: this.shopActor,
+            playerActor: this.playerActor,
+            playerItems: Array.from(this.playerTradeItems.values()),
+            shopItems: Array.from(this.shopTradeItems.values()),
+            playerCurrency: this.settleBalance ? CurrencyRegistry.emptyPurse() : this.playerTradeCurrency,
+            shopCurrency: this.settleBalance ? CurrencyRegistry.emptyPurse() : this.shopTradeCurrency,
+            settle: this.settleBalance
+        };
+    }
 
-        // Positive = player getting more value than giving
-        return shopOfferValue - playerOfferValue;
+    /**
+     * Calculate the trade balance (positive = player advantage)
+     */
+    #calculateTradeBalance() {
+        return TradeService.calculateBalance(this.#getTrade());
     }
 
     /**
      * Check if the trade can be confirmed
+     * @returns {string|null} Why the trade cannot be confirmed, or null if it can
      */
-    #canConfirmTrade(playerCurrency, shopCurrency) {
-        // Must have something to trade
-        const hasPlayerOffer = this.playerTradeItems.size > 0 || this.#calculateTotalGold(this.playerTradeCurrency) > 0;
-        const hasShopOffer = this.shopTradeItems.size > 0 || this.#calculateTotalGold(this.shopTradeCurrency) > 0;
-
-        if (!hasPlayerOffer && !hasShopOffer) return false;
-
-        // Check currency constraints - player can't offer more than they have
-        const allowNegative = game.settings.get(MODULE_ID, 'allowNegativeGold');
-        if (!allowNegative) {
-            for (const type of ['pp', 'gp', 'ep', 'sp', 'cp']) {
-                if (this.playerTradeCurrency[type] > (playerCurrency[type] ?? 0)) return false;
-                if (this.shopTradeCurrency[type] > (shopCurrency[type] ?? 0)) return false;
-            }
-        }
-
-        // Trade balance must be <= 0 (player can't get more value than they give)
-        const balance = this.#calculateTradeBalance();
-        if (balance > 0) return false;
-
-        return true;
+    #getConfirmProblem() {
+        if (this.tradePending) return 'Waiting for the GM...';
+        if (this.awaitingApproval) return 'Awaiting the GM\'s approval...';
+        return TradeService.checkTrade(this.#getTrade());
     }
 
     /** Remember focus + caret before a render */
@@ -334,6 +508,39 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
     try { requestAnimationFrame(() => el.setSelectionRange(pos, pos)); } catch {}
     }
 
+    /**
+     * Register with both actors so stock and coin changes re-render the window,
+     * and hold the stock of a restored trade while fetching what other shoppers hold
+     */
+    _onFirstRender(context, options) {
+        super._onFirstRender(context, options);
+        this.shopActor.apps[this.id] = this;
+        this.playerActor.apps[this.id] = this;
+
+        const items = Object.fromEntries(Array.from(this.shopTradeItems.values(), entry => [entry.item.id, entry.quantity]));
+        ReservationService.reserve(this.shopActor, this.playerActor, items).catch(error => {
+            if (this.shopTradeItems.size) ui.notifications.warn(error.message);
+        });
+    }
+
+    /**
+     * Unregister from both actors and release the stock this trade held
+     * Stock dropped in for this trade is taken back out, unless the trade waits on the GM's approval
+     */
+    _onClose(options) {
+        super._onClose(options);
+        delete this.shopActor.apps[this.id];
+        delete this.playerActor.apps[this.id];
+        ReservationService.reserve(this.shopActor, this.playerActor, {}).catch(() => {});
+
+        if (this.awaitingApproval || !this.#stocked.size) return;
+        for (const itemId of this.#stocked.keys()) {
+            this.shopTradeItems.delete(itemId);
+            this.#unstock(itemId);
+        }
+        this.#saveDraft();
+    }
+
     /**
      * Attach event listeners after render
      */
@@ -342,28 +549,29 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
 
         const html = this.element;
 
+        // Every change to the trade re-renders; only changes to the trade itself are written
+        this.#saveDraft();
+
         // Inventory item clicks
         html.querySelectorAll('.inventory-item').forEach(el => {
             el.addEventListener('click', this.#onInventoryItemClick.bind(this));
             el.addEventListener('contextmenu', this.#onInventoryItemContext.bind(this));
         });
 
-        // Currency input changes - Player
-        ['PP', 'GP', 'EP', 'SP', 'CP'].forEach(type => {
-            const input = html.querySelector(`input[name="playerTrade${type}"]`);
-            input?.addEventListener('change', (e) => {
-                this.playerTradeCurrency[type.toLowerCase()] = Math.max(0, parseInt(e.target.value) || 0);
+        // Currency input changes
+        html.querySelectorAll('input[data-trade-currency]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const { tradeCurrency: side, denomination } = e.target.dataset;
+                const offer = side === 'shop' ? this.shopTradeCurrency : this.playerTradeCurrency;
+                offer[denomination] = Math.max(0, parseInt(e.target.value) || 0);
                 this.render();
             });
         });
 
-        // Currency input changes - Shop
-        ['PP', 'GP', 'EP', 'SP', 'CP'].forEach(type => {
-            const input = html.querySelector(`input[name="shopTrade${type}"]`);
-            input?.addEventListener('change', (e) => {
-                this.shopTradeCurrency[type.toLowerCase()] = Math.max(0, parseInt(e.target.value) || 0);
-                this.render();
-            });
+        // Switch between settling automatically and offering coins by hand
+        html.querySelector('input[name="settleBalance"]')?.addEventListener('change', (e) => {
+            this.settleBalance = e.target.checked;
+            this.render();
         });
 
         // Drag and drop support
@@ -444,11 +652,37 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
         // If already in trade, remove it
         if (tradeMap.has(itemId)) {
             tradeMap.delete(itemId);
+            if (source === 'shop') {
+                this.#syncReservation();
+                this.#unstock(itemId);
+            }
             this.render();
             return;
         }
 
-        const maxQuantity = item.system.quantity ?? 1;
+        await this.#addToTrade(item, source);
+    }
+
+    /**
+     * Put one of either side's items in the trade, asking how many if there is more than one
+     * @param {Item} item
+     * @param {string} source - shop or player
+     */
+    async #addToTrade(item, source) {
+        const tradeMap = source === 'shop' ? this.shopTradeItems : this.playerTradeItems;
+        if (tradeMap.has(item.id)) return;
+
+        const refused = source === 'player' ? BuyRules.check(item, this.shopActor) : null;
+        if (refused) {
+            ui.notifications.warn(refused);
+            return;
+        }
+
+        const maxQuantity = source === 'shop' ? ReservationService.getAvailable(item, this.#holder) : ShopData.getAvailable(item);
+        if (maxQuantity < 1) {
+            ui.notifications.warn(`${item.name} is sold out.`);
+            return;
+        }
         let quantity = 1;
 
         // Prompt for quantity if more than 1 available
@@ -457,26 +691,65 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
             if (quantity === null || quantity <= 0) return; // Cancelled or invalid
         }
 
-        tradeMap.set(itemId, { item, quantity });
+        if (source === 'shop' && !(await this.#reserveStock(item, quantity))) return;
+        tradeMap.set(item.id, { item, quantity });
         this.render();
     }
 
+    /**
+     * The key this shopper's reservations are kept under
+     */
+    get #holder() {
+        return ReservationService.holderKey(game.user.id, this.playerActor);
+    }
+
+    /**
+     * Hold the merchant's items in this trade, plus a new one, so other shoppers cannot take them
+     * @param {Item} item - The merchant's item being added
+     * @param {number} quantity
+     * @returns {Promise<boolean>} false if other shoppers already hold the stock
+     */
+    async #reserveStock(item, quantity) {
+        const items = Object.fromEntries(Array.from(this.shopTradeItems.values(), entry => [entry.item.id, entry.quantity]));
+        items[item.id] = quantity;
+
+        try {
+            await ReservationService.reserve(this.shopActor, this.playerActor, items);
+            return true;
+        } catch (error) {
+            ui.notifications.warn(error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Hold exactly the merchant's items in this trade, releasing the rest
+     * Failures only leave stock held a little longer, so they are ignored
+     */
+    #syncReservation() {
+        const items = Object.fromEntries(Array.from(this.shopTradeItems.values(), entry => [entry.item.id, entry.quantity]));
+        ReservationService.reserve(this.shopActor, this.playerActor, items).catch(() => {});
+    }
+
     /**
      * Prompt user for quantity
      */
     async #promptQuantity(itemName, maxQuantity) {
+        // Unlimited stock has no real maximum, so the slider stops at a round number
+        const limited = Number.isFinite(maxQuantity);
+        const sliderMax = limited ? maxQuantity : 100;
         return new Promise((resolve) => {
             new Dialog({
                 title: `Select Quantity`,
                 content: `
                     <form>
                         <div class="form-group">
-                            <label>How many "${itemName}" to trade?</label>
+                            <label>How many "${foundry.utils.escapeHTML(itemName)}" to trade?</label>
                             <div style="display: flex; align-items: center; gap: 10px; margin-top: 8px;">
-                                <input type="range" name="quantity" min="1" max="${maxQuantity}" value="1" style="flex: 1;">
-                                <input type="number" name="quantityNum" min="1" max="${maxQuantity}" value="1" style="width: 60px; text-align: center;">
+                                <input type="range" name="quantity" min="1" max="${sliderMax}" value="1" style="flex: 1;">
+                                <input type="number" name="quantityNum" min="1" ${limited ? `max="${maxQuantity}"` : ''} value="1" style="width: 60px; text-align: center;">
                             </div>
-                            <p style="text-align: center; margin-top: 4px; color: #999; font-size: 0.85rem;">Max: ${maxQuantity}</p>
+                            <p style="text-align: center; margin-top: 4px; color: #999; font-size: 0.85rem;">Max: ${limited ? maxQuantity : '∞'}</p>
                         </div>
                     </form>
                 `,
@@ -543,44 +816,143 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
 
     /**
      * Handle drag start
+     * Uses Foundry's item drag data, so sheets and other modules understand it; the extra
+     * ironicShop data lets a character sheet turn a dropped shop item into a purchase
      */
     #onDragStart(event) {
-        const itemEl = event.currentTarget;
+        const { itemId, source } = event.currentTarget.dataset;
+        const item = (source === 'shop' ? this.shopActor : this.playerActor).items.get(itemId);
+        if (!item) return;
+
         event.dataTransfer.setData('text/plain', JSON.stringify({
-            itemId: itemEl.dataset.itemId,
-            source: itemEl.dataset.source
+            ...item.toDragData(),
+            ironicShop: { appId: this.id, source }
         }));
     }
 
     /**
      * Handle drop on trade list
+     * Accepts items from this window, the character's sheet and, for the GM, the Items directory and compendiums
      */
-    #onDrop(event) {
+    async #onDrop(event) {
         event.preventDefault();
-        
+
         try {
-            const data = JSON.parse(event.dataTransfer.getData('text/plain'));
-            const tradeType = event.currentTarget.dataset.trade;
-
-            // Determine if drop is valid
-            if (tradeType === 'player-items' && data.source === 'player') {
-                const item = this.playerActor.items.get(data.itemId);
-                if (item && !this.playerTradeItems.has(data.itemId)) {
-                    this.playerTradeItems.set(data.itemId, { item, quantity: 1 });
-                    this.render();
-                }
-            } else if (tradeType === 'shop-items' && data.source === 'shop') {
-                const item = this.shopActor.items.get(data.itemId);
-                if (item && !this.shopTradeItems.has(data.itemId)) {
-                    this.shopTradeItems.set(data.itemId, { item, quantity: 1 });
-                    this.render();
-                }
+            const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(event);
+            if (data?.type !== 'Item') return;
+
+            const item = await Item.implementation.fromDropData(data);
+            if (!item) return;
+
+            const source = event.currentTarget.dataset.trade === 'shop-items' ? 'shop' : 'player';
+            const owner = source === 'shop' ? this.shopActor : this.playerActor;
+            if (item.parent?.uuid === owner.uuid) {
+                await this.#addToTrade(owner.items.get(item.id), source);
+            } else if (source === 'shop' && !item.parent) {
+                await this.#stockAndAdd(item);
+            } else {
+                ui.notifications.warn(`Only ${owner.name}'s items can be ${source === 'shop' ? 'bought' : 'offered'} here.`);
             }
         } catch (e) {
             console.error('Drop error:', e);
         }
     }
 
+    /**
+     * Add an item from the Items directory or a compendium to the merchant's stock, and to the trade (GM only)
+     * The stock is taken back out if the item leaves the trade or the window closes before the trade goes through
+     * @param {Item} item - An item that belongs to no actor
+     */
+    async #stockAndAdd(item) {
+        if (!game.user.isGM) {
+            ui.notifications.warn('Only the GM can add items to the merchant\'s stock.');
+            return;
+        }
+        if (!TRADEABLE_TYPES.includes(item.type)) {
+            ui.notifications.warn(`${item.name} cannot be stocked in a shop.`);
+            return;
+        }
+
+        const quantity = await this.#promptQuantity(item.name, Infinity);
+        if (!quantity) return;
+
+        const itemData = item.pack ? game.items.fromCompendium(item) : item.toObject();
+        delete itemData._id;
+        itemData.system.quantity = quantity;
+
+        // Identical stock grows instead of gaining a second entry
+        const stack = TradeService.findStack(this.shopActor, itemData);
+        let stocked = stack;
+        if (stack) {
+            await stack.update({ 'system.quantity': (stack.system.quantity ?? 1) + quantity });
+        } else {
+            [stocked] = await this.shopActor.createEmbeddedDocuments('Item', [itemData]);
+        }
+        if (!stocked) return;
+
+        const previous = this.#stocked.get(stocked.id);
+        this.#stocked.set(stocked.id, { created: previous?.created ?? !stack, quantity: (previous?.quantity ?? 0) + quantity });
+
+        // Dropping more of an item already in the trade adds to it
+        const held = (this.shopTradeItems.get(stocked.id)?.quantity ?? 0) + quantity;
+        if (!(await this.#reserveStock(stocked, held))) {
+            await this.#unstock(stocked.id, quantity);
+            return;
+        }
+
+        this.shopTradeItems.set(stocked.id, { item: stocked, quantity: held });
+        this.render();
+    }
+
+    /**
+     * Take stock the GM dropped in for this trade back out of the merchant's inventory
+     * Items the drop created are deleted once empty; stacks that already existed shrink back
+     * @param {string} itemId - The merchant's item
+     * @param {number} [quantity] - How much to take out, defaults to everything dropped in
+     */
+    async #unstock(itemId, quantity) {
+        const stocked = this.#stocked.get(itemId);
+        if (!stocked) return;
+
+        quantity = Math.min(quantity ?? stocked.quantity, stocked.quantity);
+        stocked.quantity -= quantity;
+        if (stocked.quantity <= 0) this.#stocked.delete(itemId);
+
+        const item = this.shopActor.items.get(itemId);
+        if (!item) return;
+
+        try {
+            const remaining = (item.system.quantity ?? 1) - quantity;
+            if (stocked.created && remaining <= 0) await item.delete();
+            else await item.update({ 'system.quantity': Math.max(0, remaining) });
+        } catch (error) {
+            console.error(`Failed to take ${item.name} back out of ${this.shopActor.name}'s stock:`, error);
+        }
+    }
+
+    /**
+     * Turn a shop item dropped on a character sheet into a purchase in the window it came from
+     * Called from the dropActorSheetData hook
+     * @param {Actor} actor - The actor whose sheet received the drop
+     * @param {Object} data - The drop data
+     * @returns {boolean|void} false when the drop was handled here, so the sheet does not copy the item
+     */
+    static onSheetDrop(actor, data) {
+        if (data?.ironicShop?.source !== 'shop') return;
+
+        const app = foundry.applications.instances.get(data.ironicShop.appId);
+        if (!(app instanceof ShopApplication)) return false;
+
+        if (actor.uuid !== app.playerActor.uuid) {
+            ui.notifications.warn(`Drop items on ${app.playerActor.name}'s sheet to buy them for ${app.playerActor.name}.`);
+            return false;
+        }
+
+        const item = app.shopActor.items.get(fromUuidSync(data.uuid)?.id);
+        if (item) app.#addToTrade(item, 'shop').catch(error => console.error('Drop error:', error));
+        return false;
+    }
+
     /**
      * Handle confirm button
      */
@@ -588,6 +960,102 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
         await this.executeTrade();
     }
 
+    /**
+     * Handle haggle button - roll a check and apply the result to this trade
+     */
+    static async #onHaggle(event, target) {
+        const skills = ShopData.getSettings(this.shopActor).haggleSkills;
+        const skill = await this.#promptHaggleSkill(skills);
+        if (!skill) return;
+
+        try {
+            const attempt = await HaggleService.haggle(this.shopActor, this.playerActor, skill);
+            if (!attempt) return;
+
+            const percent = Math.round(Math.abs(attempt.modifier) * 100);
+            if (attempt.modifier >= 0) {
+                ui.notifications.info(`${this.shopActor.name} agrees to a ${percent}% better deal.`);
+            } else {
+                ui.notifications.warn(`${this.shopActor.name} takes offence and wants ${percent}% more.`);
+            }
+        } catch (error) {
+            ui.notifications.warn(error.message);
+        }
+
+        this.render();
+    }
+
+    /**
+     * Ask which skill to haggle with
+     * @param {string[]} skills - Skill keys the merchant allows
+     * @returns {Promise<string|null>}
+     */
+    async #promptHaggleSkill(skills) {
+        if (!skills.length) return null;
+        if (skills.length === 1) return skills[0];
+
+        const label = key => CONFIG.DND5E?.skills?.[key]?.label ?? key;
+        return foundry.applications.api.DialogV2.wait({
+            window: { title: `Haggle with ${this.shopActor.name}` },
+            content: '<p>How do you want to haggle?</p>',
+            buttons: skills.map(key => ({ action: key, label: label(key) })),
+            rejectClose: false
+        });
+    }
+
+    /**
+     * Handle ledger button - show the character's past trades
+     */
+    static #onLedger(event, target) {
+        LedgerApplication.open(this.playerActor);
+    }
+
+    /**
+     * Handle reputation button - let the GM set the character's points (GM only)
+     */
+    static async #onReputation(event, target) {
+        if (!game.user.isGM) return;
+
+        const standing = ReputationService.getStanding(this.shopActor, this.playerActor);
+        const points = await foundry.applications.api.DialogV2.prompt({
+            window: { title: `Reputation with ${standing.target}` },
+            content: `<p>${standing.holder}'s reputation points:</p>
+                <input type="number" name="points" value="${Math.round(standing.points)}" step="1" autofocus>`,
+            ok: {
+                label: 'Save',
+                callback: (event, button) => button.form.elements.points.valueAsNumber
+            },
+            rejectClose: false
+        });
+        if (!Number.isFinite(points)) return;
+
+        await ReputationService.setPoints(this.shopActor, this.playerActor, points);
+        this.render();
+    }
+
+    /**
+     * Handle shop panel tabs - switch between stock and buyback
+     */
+    static #onShopView(event, target) {
+        this.shopView = target.dataset.view;
+        this.render();
+    }
+
+    /**
+     * Handle buy back button - have the GM return a sold item to the character
+     */
+    static async #onBuyback(event, target) {
+        try {
+            const { name, quantity, price, pending } = await BuybackService.buyBack(this.shopActor, this.playerActor, target.dataset.entryId);
+            if (pending) ui.notifications.info(`Buying back ${name} is waiting for the GM's approval.`);
+            else ui.notifications.info(`Bought back ${quantity}x ${name} for ${CurrencyRegistry.format(price)}.`);
+        } catch (error) {
+            ui.notifications.warn(error.message);
+        }
+
+        this.render();
+    }
+
     /**
      * Handle cancel button
      */
@@ -610,141 +1078,90 @@ export class ShopApplication extends HandlebarsApplicationMixin(ApplicationV2) {
     static #onRemoveShopItem(event, target) {
         const itemId = target.dataset.itemId;
         this.shopTradeItems.delete(itemId);
+        this.#syncReservation();
+        this.#unstock(itemId);
         this.render();
     }
 
     /**
      * Execute the trade
+     * The request is applied by the GM, who can update the merchant on the player's behalf
      */
     async executeTrade() {
-        try {
-            // Get current currency values
-            const playerCurrency = this.#prepareCurrency(this.playerActor);
-            const shopCurrency = this.#prepareCurrency(this.shopActor);
-
-            // Calculate new currency values
-            const newPlayerCurrency = {};
-            const newShopCurrency = {};
-            
-            for (const type of ['pp', 'gp', 'ep', 'sp', 'cp']) {
-                newPlayerCurrency[type] = (playerCurrency[type] ?? 0) - (this.playerTradeCurrency[type] ?? 0) + (this.shopTradeCurrency[type] ?? 0);
-                newShopCurrency[type] = (shopCurrency[type] ?? 0) - (this.shopTradeCurrency[type] ?? 0) + (this.playerTradeCurrency[type] ?? 0);
-            }
+        if (this.tradePending || this.awaitingApproval) return;
 
-            // Collect items to transfer
-            const itemsToPlayer = [];
-            const itemsToShop = [];
-
-            for (const { item, quantity } of this.shopTradeItems.values()) {
-                itemsToPlayer.push({ item, quantity });
-            }
-
-            for (const { item, quantity } of this.playerTradeItems.values()) {
-                itemsToShop.push({ item, quantity });
-            }
-
-            // Execute transfers
-            // Update currency
-            await this.playerActor.update({
-                'system.currency.pp': newPlayerCurrency.pp,
-                'system.currency.gp': newPlayerCurrency.gp,
-                'system.currency.ep': newPlayerCurrency.ep,
-                'system.currency.sp': newPlayerCurrency.sp,
-                'system.currency.cp': newPlayerCurrency.cp
-            });
-            await this.shopActor.update({
-                'system.currency.pp': newShopCurrency.pp,
-                'system.currency.gp': newShopCurrency.gp,
-                'system.currency.ep': newShopCurrency.ep,
-                'system.currency.sp': newShopCurrency.sp,
-                'system.currency.cp': newShopCurrency.cp
-            });
+        this.tradePending = true;
+        this.lastReview = null;
+        this.render();
 
-            // Transfer items from shop to player
-            for (const { item, quantity } of itemsToPlayer) {
-                await this.#transferItem(item, this.shopActor, this.playerActor, quantity);
-            }
+        try {
+            const result = await TradeService.requestTrade(TradeService.serializeTrade(this.#getTrade()));
 
-            // Transfer items from player to shop
-            for (const { item, quantity } of itemsToShop) {
-                await this.#transferItem(item, this.playerActor, this.shopActor, quantity);
+            // The trade waits in the GM's queue; the offer stays as it is until the GM reviews it
+            if (result?.pending) {
+                this.awaitingApproval = result.pending;
+                ui.notifications.info(`Your trade with ${this.shopActor.name} is awaiting the GM's approval.`);
+                return;
             }
 
             // Show success notification
             ui.notifications.info(`Trade completed with ${this.shopActor.name}!`);
 
-            // Reset trade state
+            // Reset trade state; stock dropped in for it has been sold
+            this.#stocked.clear();
             this.playerTradeItems.clear();
             this.shopTradeItems.clear();
-            this.playerTradeCurrency = { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 };
-            this.shopTradeCurrency = { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 };
-
-            // Re-render to show updated inventories
-            this.render();
+            this.playerTradeCurrency = CurrencyRegistry.emptyPurse();
+            this.shopTradeCurrency = CurrencyRegistry.emptyPurse();
 
         } catch (error) {
             console.error('Trade execution error:', error);
-            ui.notifications.error('Failed to complete trade. See console for details.');
+            ui.notifications.error(error.message || 'Failed to complete trade. See console for details.');
+        } finally {
+            this.tradePending = false;
+            // Re-render to show updated inventories
+            this.render();
         }
     }
 
     /**
-     * Clear the current trade without closing
+     * Show the GM's review of a trade that needed approval
+     * Approved trades clear the window they were confirmed in; rejected ones stay for the player to change
+     * @param {{id: string, status: string, message: string}} review
      */
-    clearTrade() {
-        this.playerTradeItems.clear();
-        this.shopTradeItems.clear();
-        this.playerTradeCurrency = { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 };
-        this.shopTradeCurrency = { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 };
-        this.render();
+    static onTradeReviewed(review) {
+        if (review.status === 'approved') ui.notifications.info(review.message);
+        else ui.notifications.warn(review.message);
+
+        for (const app of foundry.applications.instances.values()) {
+            if (!(app instanceof this) || app.awaitingApproval !== review.id) continue;
+            app.awaitingApproval = null;
+            app.lastReview = { status: review.status, message: review.message };
+            if (review.status === 'approved') app.clearTrade();
+            else app.render();
+        }
     }
 
     /**
-     * Transfer an item from one actor to another, stacking if possible
-     * @param {Item} item - The item to transfer
-     * @param {Actor} fromActor - The source actor
-     * @param {Actor} toActor - The destination actor
-     * @param {number} quantity - The quantity to transfer
+     * Send the stock every open window holds to a new active GM
      */
-    async #transferItem(item, fromActor, toActor, quantity) {
-        // Find existing stackable item in target actor
-        // Match by sourceId (if from compendium) or by name and type
-        const sourceId = item.flags?.core?.sourceId;
-        let existingItem = null;
-
-        if (sourceId) {
-            // Try to find by source ID first (most reliable for compendium items)
-            existingItem = toActor.items.find(i => i.flags?.core?.sourceId === sourceId);
-        }
-
-        if (!existingItem) {
-            // Fall back to matching by name and type
-            existingItem = toActor.items.find(i => 
-                i.name === item.name && 
-                i.type === item.type
-            );
-        }
-
-        if (existingItem) {
-            // Stack onto existing item
-            const existingQty = existingItem.system.quantity ?? 1;
-            await existingItem.update({ 'system.quantity': existingQty + quantity });
-        } else {
-            // Create new item
-            const itemData = item.toObject();
-            itemData.system.quantity = quantity;
-            // Remove the _id so a new one is generated
-            delete itemData._id;
-            await toActor.createEmbeddedDocuments('Item', [itemData]);
+    static resendReservations() {
+        for (const app of foundry.applications.instances.values()) {
+            if (app instanceof this && app.rendered) app.#syncReservation();
         }
+    }
 
-        // Remove or reduce quantity from source
-        const currentQty = item.system.quantity ?? 1;
-        if (currentQty <= quantity) {
-            await item.delete();
-        } else {
-            await item.update({ 'system.quantity': currentQty - quantity });
-        }
+    /**
+     * Clear the current trade without closing
+     */
+    clearTrade() {
+        this.#stocked.clear();
+        this.playerTradeItems.clear();
+        this.shopTradeItems.clear();
+        this.playerTradeCurrency = CurrencyRegistry.emptyPurse();
+        this.shopTradeCurrency = CurrencyRegistry.emptyPurse();
+        this.#syncReservation();
+        this.render();
     }
 
     /** Remember focus + caret before a render */
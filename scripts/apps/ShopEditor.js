@@ -0,0 +1,559 @@
+/**
+ * ShopEditor - GM configuration window for a merchant
+ * Manages stock, the coin purse and shop-wide settings, storing them in the actor's flags
+ */
+
+import { MODULE_ID, TEMPLATES, TRADEABLE_TYPES } from '../constants.js';
+import { CurrencyRegistry } from '../api/CurrencyRegistry.js';
+import { LedgerApplication } from './LedgerApplication.js';
+import { ApprovalService } from '../api/ApprovalService.js';
+import { EconomyService } from '../api/EconomyService.js';
+import { MerchantTransfer } from '../api/MerchantTransfer.js';
+import { PresetService } from '../api/PresetService.js';
+import { PricingService } from '../api/PricingService.js';
+import { ReputationService } from '../api/ReputationService.js';
+import { RestockService } from '../api/RestockService.js';
+import { StockGenerator } from '../api/StockGenerator.js';
+import { ShopData } from '../api/ShopData.js';
+import { TradeTransaction } from '../api/TradeTransaction.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin, DialogV2 } = foundry.applications.api;
+
+/**
+ * Split a comma-separated form field into trimmed values
+ * @returns {string[]}
+ */
+function splitList(value) {
+    return String(value ?? '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Read an optional, non-negative number from a form field
+ * @returns {number|null} null when the field is left empty
+ */
+function optionalNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.max(0, number) : null;
+}
+
+export class ShopEditor extends HandlebarsApplicationMixin(ApplicationV2) {
+
+    /** @type {Actor} The merchant being edited */
+    actor = null;
+
+    static DEFAULT_OPTIONS = {
+        classes: ['ironic-shop', 'ironic-shop-editor'],
+        tag: 'form',
+        window: {
+            frame: true,
+            positioned: true,
+            title: 'Shop Editor',
+            icon: 'fa-solid fa-cash-register',
+            minimizable: true,
+            resizable: true,
+            contentClasses: []
+        },
+        form: {
+            handler: ShopEditor.#onSubmit,
+            submitOnChange: true,
+            closeOnSubmit: false
+        },
+        actions: {
+            'open-item': ShopEditor.#onOpenItem,
+            'delete-item': ShopEditor.#onDeleteItem,
+            'open-sheet': ShopEditor.#onOpenSheet,
+            'open-ledger': ShopEditor.#onOpenLedger,
+            restock: ShopEditor.#onRestock,
+            generate: ShopEditor.#onGenerate,
+            export: ShopEditor.#onExport,
+            import: ShopEditor.#onImport,
+            'apply-preset': ShopEditor.#onApplyPreset,
+            'save-preset': ShopEditor.#onSavePreset,
+            'delete-preset': ShopEditor.#onDeletePreset,
+            'remove-table': ShopEditor.#onRemoveTable
+        },
+        position: {
+            width: 880,
+            height: 720
+        }
+    };
+
+    static PARTS = {
+        main: {
+            id: 'main',
+            template: TEMPLATES.EDITOR
+        }
+    };
+
+    /**
+     * @param {Object} options
+     * @param {Actor} options.actor - The NPC to configure
+     */
+    constructor(options = {}) {
+        if (!options.actor) {
+            throw new Error('ShopEditor requires an actor');
+        }
+        options.id ??= ShopEditor.idFor(options.actor);
+        super(options);
+        this.actor = options.actor;
+    }
+
+    /**
+     * The application id used for an actor's editor
+     * @param {Actor} actor
+     */
+    static idFor(actor) {
+        return `ironic-shop-editor-${actor.uuid.replaceAll('.', '-')}`;
+    }
+
+    get title() {
+        return `Shop Editor: ${this.actor.name}`;
+    }
+
+    /**
+     * Prepare context data for rendering
+     */
+    async _prepareContext(options) {
+        const context = await super._prepareContext(options);
+
+        context.actor = this.actor;
+        context.isShop = ShopData.isShop(this.actor);
+        context.settings = ShopData.getSettings(this.actor);
+        context.defaultBuyMarkup = game.settings.get(MODULE_ID, 'defaultBuyMarkup');
+        context.defaultSellRatio = game.settings.get(MODULE_ID, 'defaultSellRatio');
+        context.haggleSkills = context.settings.haggleSkills.join(', ');
+        context.buyRules = Object.fromEntries(['types', 'subtypes', 'rarities', 'tags']
+            .map(key => [key, context.settings.buyRules[key].join(', ')]));
+        const purse = CurrencyRegistry.getPurse(this.actor);
+        context.purse = CurrencyRegistry.getDenominations()
+            .map(({ key, abbr, color }) => ({ key, label: abbr, color, value: purse[key] }));
+        context.standardCurrency = CurrencyRegistry.getStandard().abbr;
+
+        // Restock schedule
+        const restock = context.settings.restock;
+        context.restockIntervals = RestockService.INTERVALS;
+        context.restockDecayPercent = Math.round((restock.decay ?? 0) * 100);
+        context.restockPurse = CurrencyRegistry.getDenominations()
+            .map(({ key, abbr, color }) => ({ key, label: abbr, color, value: restock.purse?.[key] ?? 0 }));
+        // Stock generator
+        const generator = StockGenerator.getRules(this.actor);
+        context.generator = generator;
+        context.generatorTables = generator.tables.map(uuid => ({ uuid, name: fromUuidSync(uuid)?.name ?? uuid }));
+        context.generatorPacks = Object.fromEntries(game.packs
+            .filter(pack => pack.documentName === 'Item')
+            .map(pack => [pack.collection, pack.title]));
+        context.generatorTypes = generator.types.join(', ');
+        context.generatorSubtypes = generator.subtypes.join(', ');
+        context.generatorRarities = generator.rarities.join(', ');
+
+        const nextRestock = RestockService.getNextRestock(this.actor);
+        context.nextRestock = nextRestock === null ? null
+            : `in ${Math.max(0, Math.ceil((nextRestock - game.time.worldTime) / 3600))} hour(s)`;
+
+        context.presets = Object.fromEntries(Object.values(PresetService.getPresets())
+            .map(({ id, name, custom }) => [id, custom ? `${name} (saved)` : name]));
+        context.economies = Object.fromEntries(Object.entries(EconomyService.getEconomies()).map(([id, { name }]) => [id, name]));
+        context.approvalModes = ApprovalService.MODES;
+        context.approvalDefault = `World setting (${game.settings.get(MODULE_ID, 'requireApproval') ? 'always' : 'never'})`;
+        context.unlockTiers = Object.fromEntries(ReputationService.getTiers().map(tier => [tier.name, tier.name]));
+        context.stock = this.actor.items
+            .filter(item => TRADEABLE_TYPES.includes(item.type))
+            .map(item => {
+                const entry = ShopData.getStockEntry(this.actor, item.id);
+                return {
+                    id: item.id,
+                    name: item.name,
+                    img: item.img,
+                    quantity: item.system.quantity ?? 1,
+                    listPriceLabel: CurrencyRegistry.format(PricingService.getBasePrice(item)),
+                    price: entry.price,
+                    target: entry.target,
+                    max: entry.max,
+                    unlimited: entry.unlimited,
+                    unlockTier: entry.unlockTier,
+                    visible: entry.visible
+                };
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        return context;
+    }
+
+    /**
+     * Register with the actor so its updates re-render the editor
+     */
+    _onFirstRender(context, options) {
+        super._onFirstRender(context, options);
+        this.actor.apps[this.id] = this;
+    }
+
+    /**
+     * Attach drop handling after render
+     */
+    _onRender(context, options) {
+        super._onRender(context, options);
+
+        const stockList = this.element.querySelector('.stock-list');
+        stockList?.addEventListener('dragover', (e) => e.preventDefault());
+        stockList?.addEventListener('drop', this.#onDrop.bind(this));
+
+        const generator = this.element.querySelector('.generator-section');
+        generator?.addEventListener('dragover', (e) => e.preventDefault());
+        generator?.addEventListener('drop', this.#onDropTable.bind(this));
+    }
+
+    /**
+     * Unregister from the actor
+     */
+    _onClose(options) {
+        super._onClose(options);
+        delete this.actor.apps[this.id];
+    }
+
+    /**
+     * Save every change straight to the actor
+     */
+    static async #onSubmit(event, form, formData) {
+        const data = foundry.utils.expandObject(formData.object);
+        const update = {
+            [`flags.${MODULE_ID}.isShop`]: !!data.isShop,
+            [`flags.${MODULE_ID}.settings`]: {
+                shopName: data.settings?.shopName?.trim() ?? '',
+                greeting: data.settings?.greeting?.trim() ?? '',
+                faction: String(data.settings?.faction ?? '').trim(),
+                economy: String(data.settings?.economy ?? ''),
+                approval: data.settings?.approval in ApprovalService.MODES ? data.settings.approval : '',
+                buysItems: !!data.settings?.buysItems,
+                priceContents: !!data.settings?.priceContents,
+                buyMarkup: optionalNumber(data.settings?.buyMarkup),
+                sellRatio: optionalNumber(data.settings?.sellRatio),
+                haggleEnabled: !!data.settings?.haggleEnabled,
+                haggleDC: Math.max(0, Math.floor(Number(data.settings?.haggleDC) || 0)),
+                haggleSkills: splitList(data.settings?.haggleSkills),
+                buyRules: {
+                    types: splitList(data.settings?.buyRules?.types),
+                    subtypes: splitList(data.settings?.buyRules?.subtypes),
+                    rarities: splitList(data.settings?.buyRules?.rarities),
+                    tags: splitList(data.settings?.buyRules?.tags),
+                    maxPrice: optionalNumber(data.settings?.buyRules?.maxPrice)
+                },
+                restock: {
+                    interval: data.settings?.restock?.interval in RestockService.INTERVALS ? data.settings.restock.interval : 'never',
+                    hours: optionalNumber(data.settings?.restock?.hours) ?? 24,
+                    resetPurse: !!data.settings?.restock?.resetPurse,
+                    purse: CurrencyRegistry.normalizePurse(data.settings?.restock?.purse),
+                    decay: Math.min(1, (optionalNumber(data.settings?.restock?.decay) ?? 0) / 100)
+                },
+                // RollTables are added by drag and drop and kept as they are
+                generator: {
+                    packs: [].concat(data.settings?.generator?.packs ?? []).filter(Boolean),
+                    types: splitList(data.settings?.generator?.types),
+                    subtypes: splitList(data.settings?.generator?.subtypes),
+                    rarities: splitList(data.settings?.generator?.rarities),
+                    minPrice: optionalNumber(data.settings?.generator?.minPrice),
+                    maxPrice: optionalNumber(data.settings?.generator?.maxPrice),
+                    rolls: String(data.settings?.generator?.rolls ?? '').trim() || '1',
+                    minQuantity: optionalNumber(data.settings?.generator?.minQuantity) ?? 1,
+                    maxQuantity: optionalNumber(data.settings?.generator?.maxQuantity) ?? 1,
+                    replace: !!data.settings?.generator?.replace,
+                    onRestock: !!data.settings?.generator?.onRestock
+                }
+            }
+        };
+
+        const transaction = new TradeTransaction();
+
+        // Coin purse
+        CurrencyRegistry.stagePurse(transaction, this.actor, CurrencyRegistry.normalizePurse(data.currency));
+
+        // Stock entries and quantities
+        for (const [itemId, entry] of Object.entries(data.stock ?? {})) {
+            const item = this.actor.items.get(itemId);
+            if (!item) continue;
+
+            const price = optionalNumber(entry.price);
+            const target = optionalNumber(entry.target);
+            const max = optionalNumber(entry.max);
+            update[`flags.${MODULE_ID}.stock.${itemId}`] = {
+                price,
+                target: target === null ? null : Math.floor(target),
+                max: max === null ? null : Math.floor(max),
+                unlimited: !!entry.unlimited,
+                unlockTier: String(entry.unlockTier ?? ''),
+                visible: !!entry.visible
+            };
+
+            const quantity = Math.max(0, Math.floor(Number(entry.quantity) || 0));
+            if (quantity !== (item.system.quantity ?? 1)) {
+                transaction.updateItem(item, { 'system.quantity': quantity });
+            }
+        }
+
+        transaction.updateActor(this.actor, update);
+        await transaction.commit();
+    }
+
+    /**
+     * Add a dropped item to the merchant's stock
+     */
+    async #onDrop(event) {
+        event.preventDefault();
+
+        const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(event);
+        if (data?.type !== 'Item') return;
+
+        const item = await Item.implementation.fromDropData(data);
+        if (!item || item.parent === this.actor) return;
+
+        if (!TRADEABLE_TYPES.includes(item.type)) {
+            ui.notifications.warn(`${item.name} cannot be stocked in a shop.`);
+            return;
+        }
+
+        const itemData = item.pack ? game.items.fromCompendium(item) : item.toObject();
+        delete itemData._id;
+        await this.actor.createEmbeddedDocuments('Item', [itemData]);
+    }
+
+    /**
+     * Add a dropped RollTable to the stock generator
+     */
+    async #onDropTable(event) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(event);
+        if (data?.type !== 'RollTable') return;
+
+        const table = await fromUuid(data.uuid);
+        if (!table) return;
+
+        const { tables } = StockGenerator.getRules(this.actor);
+        if (tables.includes(table.uuid)) return;
+        await ShopData.setSettings(this.actor, { generator: { tables: [...tables, table.uuid] } });
+    }
+
+    /**
+     * Open an item's sheet
+     */
+    static #onOpenItem(event, target) {
+        this.actor.items.get(target.dataset.itemId)?.sheet.render(true);
+    }
+
+    /**
+     * Remove an item from the merchant's stock
+     */
+    static async #onDeleteItem(event, target) {
+        const item = this.actor.items.get(target.dataset.itemId);
+        if (!item) return;
+
+        const confirmed = await DialogV2.confirm({
+            window: { title: 'Remove Item' },
+            content: `<p>Remove <strong>${item.name}</strong> from ${this.actor.name}'s stock?</p>`
+        });
+        if (!confirmed) return;
+
+        await ShopData.removeStockEntry(this.actor, item.id);
+        await item.delete();
+    }
+
+    /**
+     * Open the merchant's actor sheet
+     */
+    static #onOpenSheet(event, target) {
+        this.actor.sheet.render(true);
+    }
+
+    /**
+     * Restock the merchant now
+     */
+    static async #onRestock(event, target) {
+        try {
+            await RestockService.restock(this.actor);
+            ui.notifications.info(`${this.actor.name} has been restocked.`);
+        } catch (error) {
+            console.error('Restock error:', error);
+            ui.notifications.error('Restock failed. See console for details.');
+        }
+    }
+
+    /**
+     * Roll random stock with the merchant's generator rules
+     */
+    static async #onGenerate(event, target) {
+        try {
+            const generated = await StockGenerator.generate(this.actor);
+            ui.notifications.info(`Generated ${generated.length} item(s) for ${this.actor.name}.`);
+        } catch (error) {
+            console.error('Stock generation error:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    /**
+     * Save the merchant's definition as a JSON file
+     */
+    static async #onExport(event, target) {
+        const embed = await DialogV2.prompt({
+            window: { title: `Export ${this.actor.name}` },
+            content: `<label class="checkbox"><input type="checkbox" name="embed"> Embed item data</label>
+                <p class="hint">Stock from compendiums is exported as a reference. Embedding it makes the file work in worlds without those compendiums.</p>`,
+            ok: {
+                label: 'Export',
+                callback: (event, button) => button.form.elements.embed.checked
+            },
+            rejectClose: false
+        });
+        if (embed === null || embed === undefined) return;
+
+        MerchantTransfer.download(this.actor, { embed });
+    }
+
+    /**
+     * Apply a merchant definition file to this NPC
+     */
+    static async #onImport(event, target) {
+        const choice = await DialogV2.prompt({
+            window: { title: `Import into ${this.actor.name}` },
+            content: `<input type="file" name="file" accept=".json,application/json">
+                <label class="checkbox"><input type="checkbox" name="replace" checked> Replace current stock</label>
+                <p class="hint">Settings and purse are replaced. The actor's own stats are not touched.</p>`,
+            ok: {
+                label: 'Import',
+                callback: (event, button) => ({
+                    file: button.form.elements.file.files[0],
+                    replace: button.form.elements.replace.checked
+                })
+            },
+            rejectClose: false
+        });
+        if (!choice?.file) return;
+
+        try {
+            const definition = MerchantTransfer.parse(await foundry.utils.readTextFromFile(choice.file));
+            const result = await MerchantTransfer.importMerchant(this.actor, definition, { replace: choice.replace });
+            ui.notifications.info(`Imported ${result.created} item(s) into ${this.actor.name}.`);
+            if (result.unresolved.length) await this.#showUnresolved(result.unresolved);
+        } catch (error) {
+            console.error('Merchant import error:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    /**
+     * Apply the chosen preset to this NPC
+     */
+    static async #onApplyPreset(event, target) {
+        const preset = PresetService.getPresets()[this.element.querySelector('.preset-select')?.value];
+        if (!preset) return;
+
+        const replace = await DialogV2.prompt({
+            window: { title: `Apply ${preset.name}` },
+            content: `${preset.description ? `<p>${foundry.utils.escapeHTML(preset.description)}</p>` : ''}
+                <label class="checkbox"><input type="checkbox" name="replace" checked> Replace current stock</label>
+                <p class="hint">Pricing, buy rules, restock and generator settings and the purse are replaced. The shop name, greeting, faction, economy and approval choice are kept.</p>`,
+            ok: {
+                label: 'Apply',
+                callback: (event, button) => button.form.elements.replace.checked
+            },
+            rejectClose: false
+        });
+        if (replace === null || replace === undefined) return;
+
+        try {
+            const result = await PresetService.apply(this.actor, preset.id, { replace });
+            ui.notifications.info(`${this.actor.name} is now a ${result.name} with ${result.created} item(s).`);
+            if (result.unresolved.length) await this.#showUnresolved(result.unresolved, 'Preset Incomplete');
+        } catch (error) {
+            console.error('Preset error:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    /**
+     * Save this merchant as a new preset
+     */
+    static async #onSavePreset(event, target) {
+        const details = await DialogV2.prompt({
+            window: { title: 'Save as Preset' },
+            content: `<label>Name <input type="text" name="name" value="${foundry.utils.escapeHTML(ShopData.getSettings(this.actor).shopName || this.actor.name)}" autofocus></label>
+                <label>Description <input type="text" name="description"></label>
+                <p class="hint">Saves the pricing, buy rules, restock and generator settings, the stock and the purse.</p>`,
+            ok: {
+                label: 'Save',
+                callback: (event, button) => ({
+                    name: button.form.elements.name.value.trim(),
+                    description: button.form.elements.description.value.trim()
+                })
+            },
+            rejectClose: false
+        });
+        if (!details) return;
+
+        try {
+            await PresetService.save(this.actor, details.name, { description: details.description });
+            ui.notifications.info(`Saved ${this.actor.name} as the preset "${details.name}".`);
+        } catch (error) {
+            console.error('Preset save error:', error);
+            ui.notifications.error(error.message);
+        }
+    }
+
+    /**
+     * Delete the chosen saved preset
+     */
+    static async #onDeletePreset(event, target) {
+        const preset = PresetService.getPresets()[this.element.querySelector('.preset-select')?.value];
+        if (!preset) return;
+        if (!preset.custom) {
+            ui.notifications.warn('Built-in presets cannot be deleted.');
+            return;
+        }
+
+        const confirmed = await DialogV2.confirm({
+            window: { title: 'Delete Preset' },
+            content: `<p>Delete the preset <strong>${foundry.utils.escapeHTML(preset.name)}</strong>?</p>`
+        });
+        if (!confirmed) return;
+
+        try {
+            await PresetService.delete(preset.id);
+        } catch (error) {
+            ui.notifications.error(error.message);
+        }
+    }
+
+    /**
+     * List what an import or preset could not resolve
+     * @param {string[]} unresolved
+     * @param {string} [title]
+     */
+    async #showUnresolved(unresolved, title = 'Import Incomplete') {
+        const list = unresolved.map(line => `<li>${foundry.utils.escapeHTML(line)}</li>`).join('');
+        await DialogV2.prompt({
+            window: { title },
+            content: `<p>These parts of the merchant could not be resolved and were skipped:</p><ul>${list}</ul>`,
+            ok: { label: 'OK' },
+            rejectClose: false
+        });
+    }
+
+    /**
+     * Remove a RollTable from the stock generator
+     */
+    static async #onRemoveTable(event, target) {
+        const { tables } = StockGenerator.getRules(this.actor);
+        await ShopData.setSettings(this.actor, { generator: { tables: tables.filter(uuid => uuid !== target.dataset.uuid) } });
+    }
+
+    /**
+     * Open the merchant's trade ledger
+     */
+    static #onOpenLedger(event, target) {
+        LedgerApplication.open(this.actor);
+    }
+}
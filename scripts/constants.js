@@ -5,14 +5,57 @@
 export const MODULE_ID = 'ironic-shop';
 
 export const TEMPLATES = {
-    SHOP: `modules/${MODULE_ID}/templates/shop-application.hbs`
+    SHOP: `modules/${MODULE_ID}/templates/shop-application.hbs`,
+    EDITOR: `modules/${MODULE_ID}/templates/shop-editor.hbs`,
+    LEDGER: `modules/${MODULE_ID}/templates/ledger.hbs`,
+    PLAYER_TRADE: `modules/${MODULE_ID}/templates/player-trade.hbs`,
+    APPROVALS: `modules/${MODULE_ID}/templates/approval-queue.hbs`
 };
 
+/** Partials the shop and player trade windows share, included by path */
+export const PARTIALS = {
+    TRADE_STYLES: `modules/${MODULE_ID}/templates/partials/trade-styles.hbs`,
+    CURRENCY_DISPLAY: `modules/${MODULE_ID}/templates/partials/currency-display.hbs`,
+    CURRENCY_INPUTS: `modules/${MODULE_ID}/templates/partials/currency-inputs.hbs`,
+    INVENTORY_ITEM: `modules/${MODULE_ID}/templates/partials/inventory-item.hbs`,
+    TRADE_ITEM: `modules/${MODULE_ID}/templates/partials/trade-item.hbs`
+};
+
+/** Item types that can be stocked and traded */
+export const TRADEABLE_TYPES = ['weapon', 'equipment', 'consumable', 'tool', 'loot', 'container', 'gear', '物品'];
+
 export const SOCKET_NAME = `module.${MODULE_ID}`;
 
 export const SOCKET_ACTIONS = {
     TRADE_REQUEST: 'tradeRequest',
     TRADE_COMPLETE: 'tradeComplete',
     TRADE_CANCELLED: 'tradeCancelled',
-    SYNC_SHOP: 'syncShop'
-};
\ No newline at end of file
+    SYNC_SHOP: 'syncShop',
+    RESERVE_REQUEST: 'reserveRequest',
+    RESERVE_REPLY: 'reserveReply',
+    RESERVE_RESEND: 'reserveResend',
+    HAGGLE_REQUEST: 'haggleRequest',
+    HAGGLE_ROLLED: 'haggleRolled',
+    HAGGLE_RESULT: 'haggleResult',
+    BUYBACK_REQUEST: 'buybackRequest',
+    BUYBACK_COMPLETE: 'buybackComplete',
+    PLAYER_TRADE_OPEN: 'playerTradeOpen',
+    PLAYER_TRADE_OFFER: 'playerTradeOffer',
+    PLAYER_TRADE_ACCEPT: 'playerTradeAccept',
+    PLAYER_TRADE_CANCEL: 'playerTradeCancel',
+    PLAYER_TRADE_REPLY: 'playerTradeReply',
+    PLAYER_TRADE_SYNC: 'playerTradeSync',
+    TRADE_REVIEWED: 'tradeReviewed'
+};
+
+/** Hook called on a participant's client whenever their player trade session changes */
+export const PLAYER_TRADE_HOOK = `${MODULE_ID}.playerTrade`;
+
+/** Hook called on every client when a new active GM asks open trades to hold their stock again */
+export const RESERVATION_RESEND_HOOK = `${MODULE_ID}.reservationResend`;
+
+/** Hook called on the requesting player's client when the GM approves or rejects their trade */
+export const TRADE_REVIEW_HOOK = `${MODULE_ID}.tradeReviewed`;
+
+/** Module this one relies on for skill checks */
+export const DC_CHECKS_MODULE_ID = 'ironic-dc-checks';
\ No newline at end of file
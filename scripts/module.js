@@ -4,8 +4,23 @@
  */
 
 import { ShopApplication } from './apps/ShopApplication.js';
+import { ShopEditor } from './apps/ShopEditor.js';
+import { LedgerApplication } from './apps/LedgerApplication.js';
+import { PlayerTradeApplication } from './apps/PlayerTradeApplication.js';
+import { ApprovalQueueApplication } from './apps/ApprovalQueueApplication.js';
 import { ShopAPI } from './api/ShopAPI.js';
-import { MODULE_ID, TEMPLATES } from './constants.js';
+import { ShopSocket } from './api/ShopSocket.js';
+import { CurrencyRegistry } from './api/CurrencyRegistry.js';
+import { TradeService } from './api/TradeService.js';
+import { HaggleService } from './api/HaggleService.js';
+import { BuybackService } from './api/BuybackService.js';
+import { PlayerTradeService } from './api/PlayerTradeService.js';
+import { ApprovalService } from './api/ApprovalService.js';
+import { ReservationService } from './api/ReservationService.js';
+import { RestockService } from './api/RestockService.js';
+import { ReputationService } from './api/ReputationService.js';
+import { EconomyService } from './api/EconomyService.js';
+import { MODULE_ID, PARTIALS, PLAYER_TRADE_HOOK, RESERVATION_RESEND_HOOK, TEMPLATES, TRADE_REVIEW_HOOK } from './constants.js';
 
 // Register module
 Hooks.once('init', async () => {
@@ -14,6 +29,20 @@ Hooks.once('init', async () => {
     // Register module settings
     registerSettings();
 
+    // Listen for trade requests and replies
+    ShopSocket.initialize();
+    TradeService.initialize();
+    HaggleService.initialize();
+    BuybackService.initialize();
+    PlayerTradeService.initialize();
+    ApprovalService.initialize();
+
+    // Hold stock in open trades and keep every window on a merchant in sync
+    ReservationService.initialize();
+
+    // Restock merchants as world time passes
+    RestockService.initialize();
+
     // Preload templates
     await preloadTemplates();
 
@@ -24,6 +53,46 @@ Hooks.once('init', async () => {
 
 Hooks.once('ready', () => {
     console.log(`${MODULE_ID} | Ready`);
+
+    const waiting = ApprovalService.getQueue().length;
+    if (game.user.isGM && waiting) {
+        ui.notifications.info(`${waiting} trade${waiting === 1 ? ' is' : 's are'} waiting for your approval.`);
+    }
+});
+
+// Tell players how the GM reviewed their trades
+Hooks.on(TRADE_REVIEW_HOOK, review => ShopApplication.onTradeReviewed(review));
+
+// Hold the stock of open trades again for a new active GM
+Hooks.on(RESERVATION_RESEND_HOOK, () => ShopApplication.resendReservations());
+
+// Open, refresh and close player trade windows as the GM syncs their sessions
+Hooks.on(PLAYER_TRADE_HOOK, session => PlayerTradeApplication.sync(session));
+
+// Shop items dragged onto a character sheet are bought, not copied
+Hooks.on('dropActorSheetData', (actor, sheet, data) => ShopApplication.onSheetDrop(actor, data));
+
+// ============================================
+// Scene config: pick the economy merchants on the scene trade in
+// ============================================
+Hooks.on('renderSceneConfig', (app, html) => {
+    const basics = html.querySelector('.tab[data-tab="basics"]');
+    if (!basics || basics.querySelector(`[name="flags.${MODULE_ID}.economy"]`)) return;
+
+    const current = app.document.getFlag(MODULE_ID, 'economy') ?? '';
+    const options = Object.entries(EconomyService.getEconomies())
+        .map(([id, { name }]) => `<option value="${id}" ${id === current ? 'selected' : ''}>${foundry.utils.escapeHTML(name)}</option>`)
+        .join('');
+
+    const group = document.createElement('div');
+    group.classList.add('form-group');
+    group.innerHTML = `
+        <label>Shop Economy</label>
+        <div class="form-fields">
+            <select name="flags.${MODULE_ID}.economy"><option value="">None</option>${options}</select>
+        </div>
+        <p class="hint">Regional price multipliers for merchants on this scene that do not pick their own economy.</p>`;
+    basics.append(group);
 });
 
 // ============================================
@@ -43,6 +112,13 @@ Hooks.on('getSceneControlButtons', (controls) => {
             icon: "fas fa-cash-register",
             visible: game.user.isGM
         });
+
+        controls.ironic_options.tools.push({
+            name: "ironic-shop-approvals",
+            title: "Trade Approvals (GM)",
+            icon: "fas fa-gavel",
+            visible: game.user.isGM
+        });
     }
 });
 
@@ -70,7 +146,7 @@ Hooks.on('renderSceneControls', (controls, html, data) => {
             }
 
             // 3) Wait once for next target from THIS user
-            ui.notifications.info("Target a merchant token to open their shop.");
+            ui.notifications.info("Target a merchant token to open their shop, or another character to trade with.");
 
             const onceTarget = async (token, userId, targeted) => {
                 if (userId !== game.user.id || !targeted) return;
@@ -110,6 +186,16 @@ Hooks.on('renderSceneControls', (controls, html, data) => {
             Hooks.on('targetToken', onceTargetGM);
         });
     }
+
+    const approvalsButton = html.querySelector('[data-tool="ironic-shop-approvals"]');
+    if (approvalsButton && !approvalsButton.dataset.bound) {
+        approvalsButton.dataset.bound = "true";
+        approvalsButton.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            ShopAPI.openApprovals();
+        });
+    }
 });
 
 // =====================
@@ -154,6 +240,18 @@ function getTokenCandidate() {
 async function openShopIfNPC(token) {
     const actor = token?.actor;
     const type = actor?.type ?? actor?.document?.type;
+
+    // Another player's character: offer them a trade instead
+    if (isPCActor(actor) && !actor.getFlag(MODULE_ID, 'isShop')) {
+        const playerActor = getUserPCActor();
+        if (!playerActor || playerActor === actor) {
+            ui.notifications.warn("Select your own character, then target the character you want to trade with.");
+            return false;
+        }
+        await ShopAPI.openPlayerTrade({ playerActor, partnerActor: actor });
+        return true;
+    }
+
     if (!actor || type !== "npc") {
         ui.notifications.warn("Please target an NPC token.");
         return false;
@@ -180,57 +278,36 @@ async function openShopIfNPC(token) {
 }
 
 function openShopEditor(actor) {
-    // For now, open a simple dialog to configure the shop
-    // TODO: Create a full ShopEditor application
-    new Dialog({
-        title: `Shop Editor: ${actor.name}`,
-        content: `
-            <form>
-                <div class="form-group">
-                    <label>Enable as Shop?</label>
-                    <input type="checkbox" name="isShop" ${actor.getFlag(MODULE_ID, 'isShop') ? 'checked' : ''}>
-                </div>
-                <p style="font-size: 0.85em; color: #888;">
-                    The NPC's inventory and gold will be used as shop stock.
-                    Add items to the NPC's inventory to stock the shop.
-                </p>
-            </form>
-        `,
-        buttons: {
-            save: {
-                icon: '<i class="fas fa-save"></i>',
-                label: "Save",
-                callback: async (html) => {
-                    const isShop = html.find('[name="isShop"]').is(':checked');
-                    await actor.setFlag(MODULE_ID, 'isShop', isShop);
-                    ui.notifications.info(`${actor.name} ${isShop ? 'is now a merchant' : 'is no longer a merchant'}.`);
-                }
-            },
-            openSheet: {
-                icon: '<i class="fas fa-user"></i>',
-                label: "Open Actor Sheet",
-                callback: () => actor.sheet.render(true)
-            },
-            cancel: {
-                icon: '<i class="fas fa-times"></i>',
-                label: "Cancel"
-            }
-        },
-        default: "save"
-    }).render(true);
+    return ShopAPI.openEditor(actor);
 }
 
 /**
  * Register module settings
  */
 function registerSettings() {
-    game.settings.register(MODULE_ID, 'defaultCurrency', {
-        name: 'Default Currency',
-        hint: 'The default currency property path on actors (e.g., system.currency.gp)',
+    game.settings.register(MODULE_ID, 'currencySystem', {
+        name: 'Currency System',
+        hint: 'Which coins shops trade in. Auto picks the preset for the game system, falling back to D&D 5e.',
         scope: 'world',
         config: true,
         type: String,
-        default: 'system.currency.gp'
+        choices: {
+            auto: 'Auto-detect',
+            ...Object.fromEntries(CurrencyRegistry.getSystems().map(s => [s.id, s.label])),
+            custom: 'Custom (defined below)'
+        },
+        default: 'auto',
+        onChange: () => CurrencyRegistry.reset()
+    });
+
+    game.settings.register(MODULE_ID, 'customCurrency', {
+        name: 'Custom Currency',
+        hint: 'JSON definition used when the currency system is Custom: { "standard": "gp", "denominations": [{ "key", "label", "abbr", "value", "path" or "itemSlug", "color" }] }. Values are in the smallest unit.',
+        scope: 'world',
+        config: true,
+        type: String,
+        default: JSON.stringify(CurrencyRegistry.CUSTOM_TEMPLATE),
+        onChange: () => CurrencyRegistry.reset()
     });
 
     game.settings.register(MODULE_ID, 'itemPricePath', {
@@ -242,6 +319,165 @@ function registerSettings() {
         default: 'system.price.value'
     });
 
+    game.settings.register(MODULE_ID, 'defaultBuyMarkup', {
+        name: 'Default Buy Markup',
+        hint: 'Multiplier applied to list prices when players buy from a merchant (1 = list price). Merchants can override this in the Shop Editor.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 1
+    });
+
+    game.settings.register(MODULE_ID, 'defaultSellRatio', {
+        name: 'Default Sell-Back Ratio',
+        hint: 'Fraction of list price merchants pay when players sell to them (0.5 = half price). Merchants can override this in the Shop Editor.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 0.5
+    });
+
+    game.settings.register(MODULE_ID, 'haggleCooldown', {
+        name: 'Haggle Cooldown (hours)',
+        hint: 'World-time hours before a character may haggle with the same merchant again.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 24
+    });
+
+    game.settings.register(MODULE_ID, 'haggleDuration', {
+        name: 'Haggled Price Duration (hours)',
+        hint: 'World-time hours a haggled price holds if no trade uses it first.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 24
+    });
+
+    game.settings.register(MODULE_ID, 'autoSettle', {
+        name: 'Settle Trades Automatically',
+        hint: 'Trade windows start with automatic settlement on: the balance is paid from whichever coins the payer holds, with change from the other side. Players can still switch to offering coins by hand.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
+    game.settings.register(MODULE_ID, 'ledgerSize', {
+        name: 'Ledger Size',
+        hint: 'How many trades each merchant and character keeps in their ledger. Older entries are dropped. 0 keeps every trade.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 100
+    });
+
+    game.settings.register(MODULE_ID, 'buybackWindow', {
+        name: 'Buyback Window (hours)',
+        hint: 'World-time hours a character can buy back items they sold to a merchant. 0 turns buyback off.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 24
+    });
+
+    game.settings.register(MODULE_ID, 'buybackFee', {
+        name: 'Buyback Fee',
+        hint: 'Fraction added to the price the merchant paid when a character buys an item back (0.1 = 10% more).',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 0
+    });
+
+    game.settings.register(MODULE_ID, 'reputationScope', {
+        name: 'Reputation Scope',
+        hint: 'Whether reputation is kept by each character, or shared by the party (group) actor a character belongs to.',
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            character: 'Per character',
+            party: 'Per party'
+        },
+        default: 'character'
+    });
+
+    game.settings.register(MODULE_ID, 'reputationRate', {
+        name: 'Reputation per Trade Value',
+        hint: 'Reputation points earned per standard coin of items traded (0.1 = 1 point per 10 gp). 0 stops trading from changing reputation.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 0
+    });
+
+    game.settings.register(MODULE_ID, 'reputationTiers', {
+        name: 'Reputation Tiers',
+        hint: 'JSON list of standing tiers: [{ "name", "min", "modifier" }]. A character is in the highest tier whose min they reach. Positive modifiers are a discount (0.05 = 5% better prices), negative ones a surcharge.',
+        scope: 'world',
+        config: true,
+        type: String,
+        default: JSON.stringify(ReputationService.DEFAULT_TIERS)
+    });
+
+    game.settings.register(MODULE_ID, 'economies', {
+        name: 'Economies',
+        hint: 'JSON map of regional economies: { "id": { "name", "multipliers": { "weapon": 1.3, "equipment.heavy": 1.2, "*": 1 } } }. Multipliers apply per item type or type.subtype. Merchants pick an economy in the Shop Editor, or use their scene\'s.',
+        scope: 'world',
+        config: true,
+        type: String,
+        default: JSON.stringify(EconomyService.EXAMPLE)
+    });
+
+    game.settings.register(MODULE_ID, 'supplyDemand', {
+        name: 'Supply and Demand',
+        hint: 'How strongly a merchant\'s stock level moves its prices. With 0.2, an item the merchant has run out of costs 20% more, and one it holds twice the normal amount of costs 20% less. 0 turns this off.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 0
+    });
+
+    game.settings.register(MODULE_ID, 'normalStock', {
+        name: 'Normal Stock Level',
+        hint: 'The quantity supply and demand treats as normal for items without a restock target.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 5
+    });
+
+    game.settings.register(MODULE_ID, 'requireApproval', {
+        name: 'Require GM Approval',
+        hint: 'Players\' confirmed trades wait in the GM\'s approval queue instead of going through at once. Merchants can override this in the Shop Editor.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.register(MODULE_ID, 'approvalQueue', {
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => ApprovalQueueApplication.refresh()
+    });
+
+    game.settings.register(MODULE_ID, 'presets', {
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => {
+            for (const app of foundry.applications.instances.values()) {
+                if (app instanceof ShopEditor) app.render();
+            }
+        }
+    });
+
     game.settings.register(MODULE_ID, 'allowNegativeGold', {
         name: 'Allow Negative Gold',
         hint: 'Allow trades that would result in negative gold for either party',
@@ -253,12 +489,12 @@ function registerSettings() {
 }
 
 /**
- * Preload Handlebars templates
+ * Preload Handlebars templates, registering each as a partial under its path
  */
 async function preloadTemplates() {
-    const templatePaths = Object.values(TEMPLATES);
+    const templatePaths = [...Object.values(TEMPLATES), ...Object.values(PARTIALS)];
     return loadTemplates(templatePaths);
 }
 
 // Export for external use
-export { ShopApplication, ShopAPI };
\ No newline at end of file
+export { ShopApplication, ShopEditor, LedgerApplication, PlayerTradeApplication, ApprovalQueueApplication, ShopAPI };
\ No newline at end of file